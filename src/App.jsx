@@ -1,4 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import html2canvas from 'html2canvas';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, 
@@ -15,9 +17,12 @@ import {
     addDoc, 
     deleteDoc, 
     onSnapshot,
+    getDoc,
+    getDocs,
     writeBatch,
     setDoc,
-    updateDoc
+    updateDoc,
+    deleteField
 } from 'firebase/firestore';
 
 // --- Helper Functions & Configuration ---
@@ -50,6 +55,16 @@ const getFirebaseConfig = () => {
     }
 };
 
+// Chooses where data lives: 'firebase' (synced across devices) or 'local' (this browser only).
+const getStorageBackend = () => {
+    // @ts-ignore
+    const configured = typeof import.meta !== 'undefined' && typeof import.meta.env !== 'undefined' ? import.meta.env.VITE_STORAGE_BACKEND : undefined;
+    if (configured === 'firebase' || configured === 'local') return configured;
+    return getFirebaseConfig() ? 'firebase' : 'local';
+};
+
+const LOCAL_USER = { uid: 'local', email: null, isLocal: true };
+
 // --- SVG Icons ---
 const PlusIcon = () => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg> );
 const TrashIcon = () => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-4 w-4"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg> );
@@ -57,6 +72,7 @@ const EditIcon = () => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" heig
 const XIcon = () => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-6 w-6"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg> );
 const StarIcon = ({ filled = false }) => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill={filled ? "currentColor" : "none"} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-5 w-5"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon></svg> );
 const ChevronDownIcon = ({ isCollapsed }) => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className={`h-6 w-6 transition-transform duration-300 ${!isCollapsed ? 'rotate-180' : ''}`}><polyline points="6 9 12 15 18 9"></polyline></svg> );
+const ClockIcon = () => ( <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="h-4 w-4"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg> );
 const Loader = ({ text = "Loading..." }) => ( <div className="flex flex-col items-center justify-center space-y-4 h-full"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-t-2 border-indigo-600"></div><p className="text-indigo-700 font-medium">{text}</p></div> );
 
 // --- Unit Conversion Logic ---
@@ -64,579 +80,4024 @@ const conversionRates = {
     'ml': { base: 'ml', multiplier: 1 }, 'l': { base: 'ml', multiplier: 1000 }, 'tsp': { base: 'ml', multiplier: 4.92892 }, 'tbsp': { base: 'ml', multiplier: 14.7868 }, 'cup': { base: 'ml', multiplier: 236.588 },
     'g': { base: 'g', multiplier: 1 }, 'kg': { base: 'g', multiplier: 1000 }, 'oz': { base: 'g', multiplier: 28.3495 }, 'lb': { base: 'g', multiplier: 453.592 },
     'stick': { base: 'g', multiplier: 113 }, 'sticks': { base: 'g', multiplier: 113 },
+    'pinch': { base: 'ml', multiplier: 0.31 }, 'pinches': { base: 'ml', multiplier: 0.31 }, 'dash': { base: 'ml', multiplier: 0.62 }, 'dashes': { base: 'ml', multiplier: 0.62 },
+    // Count units. A blank unit or a size word ("2 large eggs") also means a plain count.
+    'each': { base: 'each', multiplier: 1 }, 'whole': { base: 'each', multiplier: 1 }, 'piece': { base: 'each', multiplier: 1 }, 'dozen': { base: 'each', multiplier: 12 },
+    '': { base: 'each', multiplier: 1 }, 'large': { base: 'each', multiplier: 1 }, 'medium': { base: 'each', multiplier: 1 }, 'small': { base: 'each', multiplier: 1 },
+    'clove': { base: 'clove', multiplier: 1 }, 'can': { base: 'can', multiplier: 1 },
 };
 Object.keys(conversionRates).forEach(key => {
     const data = conversionRates[key];
-    if (!key.endsWith('s')) conversionRates[key + 's'] = data;
+    if (key && !key.endsWith('s')) conversionRates[key + 's'] = data;
     if (key === 'l') conversionRates['liter'] = data;
     if (key === 'g') conversionRates['gram'] = data;
 });
+// The units pantry dropdowns offer; the ingredient form treats anything else as "other".
+const pantryUnits = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'pinch', 'each', 'whole', 'dozen', 'clove', 'can', 'stick'];
 
 const getNormalizedQuantity = (quantity, unit) => {
-    const unitLower = unit ? unit.toLowerCase() : '';
+    const unitLower = unit ? unit.toLowerCase().trim() : '';
     const conversion = conversionRates[unitLower];
     if (conversion) return { baseQuantity: quantity * conversion.multiplier, baseUnit: conversion.base };
     return { baseQuantity: quantity, baseUnit: unitLower };
 };
 
-// --- Main App Component ---
-export default function App() {
-    // Firebase State
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [user, setUser] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-    const [authView, setAuthView] = useState('login');
+// Grams per millilitre, keyed by normalized ingredient name, for converting between volume and mass.
+const ingredientDensities = {
+    'flour': 0.53, 'bread flour': 0.54, 'whole wheat flour': 0.51, 'cornstarch': 0.54, 'cocoa powder': 0.42,
+    'sugar': 0.85, 'brown sugar': 0.93, 'powdered sugar': 0.51, 'honey': 1.42, 'maple syrup': 1.32,
+    'rice': 0.85, 'oat': 0.34, 'rolled oat': 0.34, 'quinoa': 0.72, 'lentil': 0.81,
+    'butter': 0.96, 'milk': 1.03, 'heavy cream': 1.0, 'yogurt': 1.03, 'sour cream': 1.0, 'cheese': 0.47, 'parmesan': 0.42, 'peanut butter': 1.08,
+    'water': 1.0, 'oil': 0.92, 'olive oil': 0.91, 'vegetable oil': 0.92,
+    'salt': 1.22, 'baking soda': 0.93, 'baking powder': 0.81, 'chocolate chip': 0.72,
+};
 
-    // App State
-    const [ingredients, setIngredients] = useState([]);
-    const [recipes, setRecipes] = useState([]);
-    const [selectedRecipe, setSelectedRecipe] = useState(null);
-    const [isLoading, setIsLoading] = useState(false);
-    const [error, setError] = useState(null);
-    const [preferences, setPreferences] = useState('');
-    const [mealType, setMealType] = useState('any');
-    const [isCookingMode, setIsCookingMode] = useState(false);
-    const [recentlyCooked, setRecentlyCooked] = useState([]);
-    const [favoritedRecipes, setFavoritedRecipes] = useState([]);
-    const [shoppingList, setShoppingList] = useState([]);
-    const [isPantryCollapsed, setIsPantryCollapsed] = useState(true);
-    const [isMoveModalOpen, setIsMoveModalOpen] = useState(false);
-    const [selectedTags, setSelectedTags] = useState([]);
+const getIngredientDensity = (name) => {
+    const key = normalizeIngredientName(name);
+    // Fall back to the head noun so "jasmine rice" uses the rice density.
+    return ingredientDensities[key] ?? ingredientDensities[key.split(' ').pop()] ?? null;
+};
 
-    const appId = getAppId();
+/**
+ * Converts `quantity` of `name` from one unit to another, crossing between volume and mass
+ * through the density table. Returns null when the units cannot be compared (e.g. cloves to grams).
+ */
+const convertQuantity = (quantity, fromUnit, toUnit, name) => {
+    const from = getNormalizedQuantity(quantity, fromUnit);
+    const to = getNormalizedQuantity(1, toUnit);
+    if (from.baseUnit === to.baseUnit) return from.baseQuantity / to.baseQuantity;
+    const density = getIngredientDensity(name);
+    if (density && from.baseUnit === 'ml' && to.baseUnit === 'g') return (from.baseQuantity * density) / to.baseQuantity;
+    if (density && from.baseUnit === 'g' && to.baseUnit === 'ml') return from.baseQuantity / density / to.baseQuantity;
+    return null;
+};
 
-    // --- Firebase Initialization and Auth Listener ---
-    useEffect(() => {
-        const firebaseConfig = getFirebaseConfig();
-        const isPreview = typeof __app_id !== 'undefined';
+// --- Recipe Scaling ---
+const DEFAULT_SERVINGS = 4;
 
-        if (firebaseConfig && !db) {
-            try {
-                const app = initializeApp(firebaseConfig);
-                const firestore = getFirestore(app);
-                const authInstance = getAuth(app);
-                setDb(firestore);
-                setAuth(authInstance);
+// Units that step up into one another, with sizes in the smallest unit and the smallest amount worth showing.
+const unitLadders = [
+    [{ unit: 'tsp', size: 1, min: 0 }, { unit: 'tbsp', size: 3, min: 1 }, { unit: 'cup', size: 48, min: 0.25 }],
+    [{ unit: 'ml', size: 1, min: 0 }, { unit: 'l', size: 1000, min: 1 }],
+    [{ unit: 'g', size: 1, min: 0 }, { unit: 'kg', size: 1000, min: 1 }],
+    [{ unit: 'oz', size: 1, min: 0 }, { unit: 'lb', size: 16, min: 1 }],
+];
 
-                if (isPreview) {
-                    // For preview, sign in anonymously to get a real user session
-                    signInAnonymously(authInstance).catch(err => {
-                        console.error("Preview anonymous sign-in failed:", err);
-                        setError("Could not create a preview session.");
-                    });
-                }
+const findUnitStep = (unit) => {
+    const unitLower = (unit || '').toLowerCase().trim();
+    for (const ladder of unitLadders) {
+        const step = ladder.find(s => s.unit === unitLower || `${s.unit}s` === unitLower);
+        if (step) return { ladder, step };
+    }
+    return null;
+};
 
-                onAuthStateChanged(authInstance, (user) => {
-                    setUser(user);
-                    setIsAuthReady(true);
-                });
-            } catch (e) {
-                console.error("Firebase initialization failed:", e);
-                setError("Could not connect to the database.");
-                setIsAuthReady(true);
-            }
-        } else if (!firebaseConfig) {
-             setError("Firebase is not configured. Data cannot be saved.");
-             setIsAuthReady(true);
-        }
-    }, [db]);
+// Rounds to amounts people actually measure: eighths of a cup or spoon, whole grams, halves of an egg.
+const roundFriendly = (quantity, unit) => {
+    const roundTo = (step) => Number(Math.max(Math.round(quantity / step) * step, step).toFixed(3));
+    const base = getNormalizedQuantity(1, unit).baseUnit;
+    const unitLower = (unit || '').toLowerCase().trim();
+    if (quantity <= 0) return 0;
+    if (['tsp', 'tbsp', 'cup'].includes(findUnitStep(unitLower)?.step.unit)) return roundTo(0.125);
+    if (['g', 'ml'].includes(unitLower) || ['gram', 'grams'].includes(unitLower)) return roundTo(quantity < 10 ? 0.5 : quantity < 100 ? 1 : 5);
+    if (['each', 'clove', 'can'].includes(base)) return roundTo(quantity < 1 ? 0.25 : 0.5);
+    return roundTo(quantity < 10 ? 0.05 : 0.5);
+};
 
-    // --- Firestore Data Sync ---
-    useEffect(() => {
-        if (user && db) {
-            const collectionsToSync = { ingredients: setIngredients, recentlyCooked: setRecentlyCooked, favoritedRecipes: setFavoritedRecipes, shoppingList: setShoppingList };
-            const unsubscribers = Object.entries(collectionsToSync).map(([collectionName, setter]) => {
-                const collRef = collection(db, `artifacts/${appId}/users/${user.uid}/${collectionName}`);
-                return onSnapshot(collRef, (snapshot) => {
-                    const data = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
-                    setter(data);
-                }, (err) => {
-                    console.error(`Error syncing ${collectionName}:`, err);
-                    setError(`Could not load ${collectionName.replace(/([A-Z])/g, ' $1')}.`);
-                });
-            });
-            return () => unsubscribers.forEach(unsub => unsub());
-        } else {
-            setIngredients([]); setRecentlyCooked([]); setFavoritedRecipes([]); setShoppingList([]);
-        }
-    }, [user, db, appId]);
+/**
+ * Picks the largest sensible unit for a quantity (16 tbsp -> 1 cup, 1500 g -> 1.5 kg) and rounds it,
+ * keeping the original unit when a bigger one would only be approximate.
+ */
+const promoteUnit = (quantity, unit) => {
+    const found = findUnitStep(unit);
+    if (!found) return { quantity: roundFriendly(quantity, unit), unit };
+    const amountInSmallest = quantity * found.step.size;
+    for (const step of [...found.ladder].reverse()) {
+        const amount = amountInSmallest / step.size;
+        const rounded = roundFriendly(amount, step.unit);
+        if (amount >= step.min && Math.abs(rounded - amount) / amount <= 0.05) return { quantity: rounded, unit: step.unit };
+    }
+    return { quantity: roundFriendly(quantity, unit), unit };
+};
 
-    // --- Auth Actions ---
-    const handleAuthAction = async (action, email, password) => {
-        setError(null);
-        try {
-            if (action === 'register') await createUserWithEmailAndPassword(auth, email, password);
-            else await signInWithEmailAndPassword(auth, email, password);
-        } catch (err) { setError(err.message); }
-    };
-    const handleLogout = async () => { if (auth) await signOut(auth); };
+const getRecipeServings = (recipe) => recipe.servings || DEFAULT_SERVINGS;
 
-    // --- Ingredient Management ---
-    const handleAddIngredient = async (ingredientData) => {
-        if (!user) return;
-        const newIngredient = { ...ingredientData, createdAt: Date.now() };
-        try {
-            await addDoc(collection(db, `artifacts/${appId}/users/${user.uid}/ingredients`), newIngredient);
-        } catch (err) { console.error("Error adding ingredient:", err); }
-    };
-    const handleUpdateIngredient = async (ingredientId, updatedData) => {
-        if (!user) return;
-        try {
-            const ingredientDoc = doc(db, `artifacts/${appId}/users/${user.uid}/ingredients`, ingredientId);
-            await updateDoc(ingredientDoc, updatedData);
-        } catch (err) { console.error("Error updating ingredient:", err); }
-    };
-    const handleDeleteIngredient = async (ingredientId) => {
-        if (!user) return;
-        try {
-            await deleteDoc(doc(db, `artifacts/${appId}/users/${user.uid}/ingredients`, ingredientId));
-        } catch (err) { console.error("Error deleting ingredient:", err); }
+// Returns the recipe resized to `servings`; the recipe's own quantities are left untouched at its base size.
+const scaleRecipe = (recipe, servings) => {
+    if (!recipe) return recipe;
+    const factor = servings / getRecipeServings(recipe);
+    if (factor === 1) return recipe;
+    return {
+        ...recipe,
+        servings,
+        ingredientsNeeded: recipe.ingredientsNeeded.map(ing => ({ ...ing, ...promoteUnit((parseFloat(ing.quantity) || 0) * factor, ing.unit) })),
     };
+};
 
-    // --- Shopping List Management ---
-    const handleAddToShoppingList = async (itemData) => {
-        if (!user || !itemData.name.trim()) return;
-        try {
-            await addDoc(collection(db, `artifacts/${appId}/users/${user.uid}/shoppingList`), itemData);
-        } catch (err) { console.error("Error adding to shopping list:", err); }
-    };
-    const handleDeleteFromShoppingList = async (itemId) => {
-        if (!user) return;
-        try {
-            await deleteDoc(doc(db, `artifacts/${appId}/users/${user.uid}/shoppingList`, itemId));
-        } catch (err) { console.error("Error deleting from shopping list:", err); }
-    };
-    const handleMoveToPantry = async (itemsToMove) => {
-        if (!user || itemsToMove.length === 0) return;
-        const batch = writeBatch(db);
-        itemsToMove.forEach(item => {
-            const ingredientData = { name: item.name, quantity: parseFloat(item.quantity) || 0, unit: item.unit, createdAt: Date.now() };
-            const newIngredientRef = doc(collection(db, `artifacts/${appId}/users/${user.uid}/ingredients`));
-            batch.set(newIngredientRef, ingredientData);
-            const shoppingListItemRef = doc(db, `artifacts/${appId}/users/${user.uid}/shoppingList`, item.id);
-            batch.delete(shoppingListItemRef);
-        });
-        try {
-            await batch.commit();
-            setIsMoveModalOpen(false);
-        } catch (err) { console.error("Error moving items to pantry:", err); }
-    };
+// --- Display Units & Locale ---
+const unitSystemLabels = { metric: 'Metric', us: 'US' };
+// Units each system converts away from. Spoons, pinches and count units read the same in both, so they're left alone.
+const foreignUnits = { metric: ['cup', 'oz', 'lb', 'stick'], us: ['g', 'kg', 'ml', 'l', 'liter', 'gram'] };
+const fractionUnits = ['tsp', 'tbsp', 'cup', 'each', 'whole', 'clove', 'can', 'serving'];
+const displayFractions = [[1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [1 / 2, '½'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞']];
 
+// US-style locales cook in cups and ounces; everyone else gets metric until they choose otherwise.
+const getDefaultUnitSystem = () => (typeof navigator !== 'undefined' && /^en-(US|LR)|^my\b/.test(navigator.language || '') ? 'us' : 'metric');
 
-    // --- Recipe Generation ---
-    const findRecipes = async () => {
-        if (ingredients.length === 0) { setError("Please add some ingredients to your pantry first!"); return; }
-        setIsLoading(true); setError(null); setRecipes([]); setSelectedRecipe(null);
-        const ingredientsString = ingredients.map(i => `${i.quantity} ${i.unit} ${i.name}`).join(', ');
-        let prompt = `You are a helpful culinary assistant. Based ONLY on the following list of available ingredients, generate 3 diverse recipe options. For each recipe, provide a name, a short description, a list of the ingredients needed from the pantry, and step-by-step instructions. Ensure the needed ingredients do not exceed the available quantities. Available ingredients: ${ingredientsString}.`;
-        if (mealType !== 'any') prompt += ` The user is looking for a ${mealType} recipe.`;
-        
-        const allPreferences = [...selectedTags, preferences.trim()].filter(Boolean).join(', ');
-        if (allPreferences) {
-            prompt += ` The user also has the following preferences, please try to accommodate them: ${allPreferences}.`;
-        }
+const formatNumber = (value) => new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(value);
 
-        const schema = { type: "ARRAY", items: { type: "OBJECT", properties: { recipeName: { type: "STRING" }, description: { type: "STRING" }, ingredientsNeeded: { type: "ARRAY", items: { type: "OBJECT", properties: { name: { type: "STRING" }, quantity: { type: "NUMBER" }, unit: { type: "STRING" } }, required: ["name", "quantity", "unit"] } }, instructions: { type: "ARRAY", items: { type: "STRING" } } }, required: ["recipeName", "description", "ingredientsNeeded", "instructions"] } };
-        try {
-            const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }], generationConfig: { responseMimeType: "application/json", responseSchema: schema } };
-            // @ts-ignore
-            const apiKey = typeof import.meta.env !== 'undefined' ? import.meta.env.VITE_FIREBASE_API_KEY : '';
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-            if (!response.ok) throw new Error(`API call failed with status: ${response.status}`);
-            const result = await response.json();
-            if (result.candidates && result.candidates.length > 0) {
-                const jsonText = result.candidates[0].content.parts[0].text;
-                setRecipes(JSON.parse(jsonText));
-            } else { throw new Error("No recipes were generated. Try adding more ingredients."); }
-        } catch (err) { console.error("Error fetching recipes:", err); setError(`Failed to find recipes. ${err.message}`); } finally { setIsLoading(false); }
-    };
-    
-    // --- Cooking & Recipe History Logic ---
-    const checkIngredients = (recipe) => {
-        const ingredientsCopy = JSON.parse(JSON.stringify(ingredients));
-        const pantryMap = new Map(ingredientsCopy.map(i => [i.name.toLowerCase(), i]));
-        for (const needed of recipe.ingredientsNeeded) {
-            const neededNameLower = needed.name.toLowerCase();
-            let available = pantryMap.get(neededNameLower);
-            if (!available) {
-                for (const [pantryName, pantryIngredient] of pantryMap.entries()) {
-                    if (pantryName.includes(neededNameLower) || neededNameLower.includes(pantryName)) { available = pantryIngredient; break; }
-                }
-            }
-            if (!available) { setError(`You don't have any ${needed.name} (or a similar ingredient).`); return false; }
-            const availableNormalized = getNormalizedQuantity(available.quantity, available.unit);
-            const neededNormalized = getNormalizedQuantity(needed.quantity, needed.unit);
-            if (availableNormalized.baseUnit === neededNormalized.baseUnit) {
-                if (availableNormalized.baseQuantity < neededNormalized.baseQuantity) { setError(`Not enough ${needed.name}. You need ${needed.quantity} ${needed.unit} but only have ${available.quantity} ${available.unit}.`); return false; }
-            } else {
-                 if (available.quantity < needed.quantity) { setError(`Not enough ${needed.name}. You need ${needed.quantity} ${needed.unit} but only have ${available.quantity} ${available.unit}.`); return false; }
-            }
-        }
-        return true;
-    };
+// 1.5 -> "1½", 0.333 -> "⅓"; null when the amount isn't close to a kitchen fraction.
+const toFractionText = (quantity) => {
+    const whole = Math.floor(quantity);
+    const rest = quantity - whole;
+    if (rest < 0.02) return String(whole);
+    if (rest > 0.98) return String(whole + 1);
+    const fraction = displayFractions.find(([value]) => Math.abs(value - rest) < 0.02);
+    return fraction ? `${whole || ''}${fraction[1]}` : null;
+};
 
-    const handleFinishCooking = async () => {
-        const recipe = selectedRecipe;
-        if (!recipe || !user) return;
-        if (!checkIngredients(recipe)) { setIsCookingMode(false); return; }
+// Largest unit on the ladder the amount reaches (250 ml -> 1 cup), rounded to something measurable.
+const pickDisplayUnit = (quantity, unit) => {
+    const found = findUnitStep(unit);
+    const amountInSmallest = quantity * (found ? found.step.size : 1);
+    const step = found && [...found.ladder].reverse().find(s => amountInSmallest / s.size >= s.min);
+    if (!step) return { quantity: roundFriendly(quantity, unit), unit };
+    return { quantity: roundFriendly(amountInSmallest / step.size, step.unit), unit: step.unit };
+};
 
-        const batch = writeBatch(db);
-        const ingredientsCopy = JSON.parse(JSON.stringify(ingredients));
-        const updatedIngredientsMap = new Map(ingredientsCopy.map(i => [i.name.toLowerCase(), i]));
+/**
+ * Re-expresses a stored amount in the chosen unit system for display, e.g. 500 g -> 1.1 lb or 1 cup -> 250 ml.
+ * Amounts already in that system, and units with no counterpart, come back unchanged.
+ */
+const convertForDisplay = (quantity, unit, unitSystem) => {
+    const unitLower = (unit || '').toLowerCase().trim();
+    const amount = parseFloat(quantity) || 0;
+    const singular = conversionRates[unitLower.replace(/s$/, '')] ? unitLower.replace(/s$/, '') : unitLower;
+    if (!foreignUnits[unitSystem]?.includes(singular)) return { quantity: amount, unit };
+    const { baseQuantity, baseUnit } = getNormalizedQuantity(amount, singular);
+    if (unitSystem === 'metric') return pickDisplayUnit(baseQuantity, baseUnit);
+    return baseUnit === 'g' ? pickDisplayUnit(baseQuantity / conversionRates.oz.multiplier, 'oz') : pickDisplayUnit(baseQuantity / conversionRates.tsp.multiplier, 'tsp');
+};
 
-        for (const needed of recipe.ingredientsNeeded) {
-            const neededNameLower = needed.name.toLowerCase();
-            let available = updatedIngredientsMap.get(neededNameLower);
-            if (!available) {
-                for (const [pantryName, pantryIngredient] of updatedIngredientsMap.entries()) {
-                    if (pantryName.includes(neededNameLower) || neededNameLower.includes(pantryName)) { available = pantryIngredient; break; }
-                }
-            }
-            const availableNormalized = getNormalizedQuantity(available.quantity, available.unit);
-            const neededNormalized = getNormalizedQuantity(needed.quantity, needed.unit);
-            const neededInOriginalUnit = neededNormalized.baseQuantity / (conversionRates[available.unit.toLowerCase()]?.multiplier || 1);
-            available.quantity -= neededInOriginalUnit;
+// The text shown for an amount: converted to the user's unit system, with ½-style fractions for spoons, cups and counts.
+const formatAmount = (quantity, unit, unitSystem) => {
+    const display = convertForDisplay(quantity, unit, unitSystem);
+    const unitLower = (display.unit || '').toLowerCase().trim();
+    const usesFractions = fractionUnits.includes(unitLower) || fractionUnits.includes(unitLower.replace(/s$/, '')) || !unitLower;
+    const amountText = (usesFractions && toFractionText(display.quantity)) || formatNumber(display.quantity);
+    return display.unit ? `${amountText} ${display.unit}` : amountText;
+};
+
+// --- Expiration Logic ---
+const EXPIRING_SOON_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Typical fridge/pantry shelf life in days, keyed by ingredient category.
+const shelfLifeByCategory = { seafood: 2, meat: 3, produce: 7, bakery: 5, dairy: 10, eggs: 21, condiments: 180, frozen: 180, dryGoods: 365 };
+const categoryKeywords = {
+    seafood: ['fish', 'salmon', 'tuna', 'shrimp', 'prawn', 'cod', 'tilapia', 'crab', 'lobster', 'scallop', 'mussel', 'clam'],
+    meat: ['chicken', 'beef', 'pork', 'lamb', 'turkey', 'sausage', 'bacon', 'ham', 'steak'],
+    eggs: ['egg'],
+    dairy: ['milk', 'cheese', 'yogurt', 'yoghurt', 'butter', 'cream', 'sour cream', 'cottage', 'mozzarella', 'parmesan', 'cheddar'],
+    bakery: ['bread', 'bagel', 'tortilla', 'bun', 'roll', 'pita', 'croissant', 'muffin'],
+    produce: ['lettuce', 'spinach', 'kale', 'tomato', 'onion', 'garlic', 'pepper', 'carrot', 'celery', 'potato', 'apple', 'banana', 'berry', 'berries', 'lemon', 'lime', 'orange', 'avocado', 'cucumber', 'zucchini', 'mushroom', 'broccoli', 'cabbage', 'herb', 'parsley', 'cilantro', 'basil', 'scallion', 'ginger'],
+    frozen: ['frozen', 'ice cream', 'peas'],
+    condiments: ['sauce', 'ketchup', 'mustard', 'mayo', 'mayonnaise', 'vinegar', 'dressing', 'jam', 'honey', 'syrup'],
+    dryGoods: ['flour', 'sugar', 'rice', 'pasta', 'oats', 'beans', 'lentil', 'salt', 'spice', 'oil', 'canned', 'cereal', 'baking'],
+};
+
+const getIngredientCategory = (name = '') => {
+    const nameLower = name.toLowerCase();
+    // Whole-word matching so "eggplant" isn't treated as eggs.
+    const match = Object.entries(categoryKeywords).find(([, keywords]) => keywords.some(keyword => new RegExp(`\\b${keyword}(s|es)?\\b`).test(nameLower)));
+    return match ? match[0] : null;
+};
+
+const getDefaultBestBy = (name, from = Date.now()) => {
+    const category = getIngredientCategory(name);
+    return category ? from + shelfLifeByCategory[category] * DAY_MS : null;
+};
+
+const startOfDay = (timestamp) => { const d = new Date(timestamp); d.setHours(0, 0, 0, 0); return d.getTime(); };
+
+const getDaysUntilExpiry = (ingredient) => {
+    if (!ingredient.bestBy) return null;
+    return Math.round((startOfDay(ingredient.bestBy) - startOfDay(Date.now())) / DAY_MS);
+};
+
+const getExpiryStatus = (ingredient) => {
+    const days = getDaysUntilExpiry(ingredient);
+    if (days === null) return 'none';
+    if (days < 0) return 'expired';
+    if (days <= EXPIRING_SOON_DAYS) return 'soon';
+    return 'fresh';
+};
+
+const describeExpiry = (ingredient) => {
+    const days = getDaysUntilExpiry(ingredient);
+    if (days === null) return '';
+    if (days < 0) return `Expired ${-days} day${days === -1 ? '' : 's'} ago`;
+    if (days === 0) return 'Expires today';
+    return `Expires in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+// <input type="date"> works with local YYYY-MM-DD strings; we store millisecond timestamps like createdAt.
+const toDateInputValue = (timestamp) => {
+    if (!timestamp) return '';
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+const fromDateInputValue = (value) => {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+};
+
+// --- Storage Locations & Categories ---
+const storageLocations = ['fridge', 'freezer', 'cupboard'];
+const storageLocationLabels = { fridge: 'Fridge', freezer: 'Freezer', cupboard: 'Cupboard' };
+const foodCategoryLabels = { produce: 'Produce', meat: 'Meat', seafood: 'Seafood', dairy: 'Dairy', eggs: 'Eggs', bakery: 'Bakery', frozen: 'Frozen', condiments: 'Condiments', dryGoods: 'Dry Goods', other: 'Other' };
+const locationByCategory = { produce: 'fridge', meat: 'fridge', seafood: 'fridge', dairy: 'fridge', eggs: 'fridge', frozen: 'freezer' };
+const FREEZER_SHELF_DAYS = 90;
+
+// Items saved before these fields existed fall back to what their name suggests.
+const getFoodCategory = (ingredient) => ingredient.category || getIngredientCategory(ingredient.name) || 'other';
+const getStorageLocation = (ingredient) => ingredient.location || locationByCategory[getFoodCategory(ingredient)] || 'cupboard';
+
+// Freezing buys months; thawing restarts the clock at the category's usual fridge life.
+const getBestByAfterMove = (ingredient, location, now = Date.now()) => {
+    if (location === 'freezer') return now + FREEZER_SHELF_DAYS * DAY_MS;
+    if (getStorageLocation(ingredient) === 'freezer') {
+        const category = getFoodCategory(ingredient);
+        return shelfLifeByCategory[category] && category !== 'frozen' ? now + shelfLifeByCategory[category] * DAY_MS : ingredient.bestBy ?? null;
+    }
+    return ingredient.bestBy ?? null;
+};
+
+// --- Ingredient Matching ---
+const MATCH_CANDIDATE_THRESHOLD = 0.3;
+
+// Words that describe preparation or quality rather than the ingredient itself.
+const descriptorWords = new Set(['fresh', 'freshly', 'chopped', 'diced', 'minced', 'sliced', 'grated', 'shredded', 'crushed', 'peeled', 'large', 'medium', 'small', 'organic', 'unsalted', 'salted', 'raw', 'whole', 'boneless', 'skinless', 'ripe', 'extra', 'virgin', 'finely', 'roughly', 'softened', 'melted', 'cold', 'room', 'temperature', 'of', 'a', 'an', 'the', 'and', 'or', 'to', 'taste']);
+const irregularSingulars = { leaves: 'leaf', halves: 'half', loaves: 'loaf' };
+const invariantWords = new Set(['molasses', 'hummus', 'couscous', 'asparagus', 'swiss', 'grits', 'brussels', 'citrus', 'bass']);
+// Maps a normalized variant onto the normalized name we treat as canonical.
+const ingredientAliases = {
+    'scallion': 'green onion', 'spring onion': 'green onion',
+    'coriander leaf': 'cilantro', 'capsicum': 'bell pepper', 'courgette': 'zucchini', 'aubergine': 'eggplant',
+    'garbanzo bean': 'chickpea', 'garbanzo': 'chickpea', 'prawn': 'shrimp', 'rocket': 'arugula',
+    'minced beef': 'ground beef', 'beef mince': 'ground beef', 'mince': 'ground beef',
+    'double cream': 'heavy cream', 'whipping cream': 'heavy cream', 'heavy whipping cream': 'heavy cream',
+    'icing sugar': 'powdered sugar', 'confectioner sugar': 'powdered sugar', 'confectioners sugar': 'powdered sugar',
+    'bicarbonate of soda': 'baking soda', 'bicarbonate soda': 'baking soda', 'bicarb': 'baking soda',
+    'all purpose flour': 'flour', 'plain flour': 'flour', 'ap flour': 'flour',
+    'caster sugar': 'sugar', 'granulated sugar': 'sugar', 'white sugar': 'sugar',
+    'egg yolk': 'egg', 'cornflour': 'cornstarch', 'corn starch': 'cornstarch',
+};
+
+const singularize = (word) => {
+    if (irregularSingulars[word]) return irregularSingulars[word];
+    if (invariantWords.has(word) || word.length <= 3) return word;
+    if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.endsWith('oes')) return word.slice(0, -2);
+    if (/(ches|shes|xes|sses|zzes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+};
+
+// Reduces a free-form ingredient name to a comparable key: "Fresh Scallions (chopped)" -> "green onion".
+const normalizeIngredientName = (name = '') => {
+    const cleaned = name.toLowerCase().replace(/\(.*?\)/g, ' ').split(',')[0].replace(/[^\p{L}\s]/gu, ' ');
+    const words = cleaned.split(/\s+/).filter(Boolean);
+    const tokens = words.filter(word => !descriptorWords.has(word)).map(singularize);
+    const key = (tokens.length > 0 ? tokens : words.map(singularize)).join(' ');
+    return ingredientAliases[key] || key;
+};
+
+// Token overlap (Dice coefficient) with extra weight when the final word - usually the noun - agrees.
+const scoreIngredientMatch = (neededKey, pantryKey) => {
+    const neededTokens = neededKey.split(' ');
+    const pantryTokens = pantryKey.split(' ');
+    const shared = neededTokens.filter(token => pantryTokens.includes(token)).length;
+    if (shared === 0) return 0;
+    const dice = (2 * shared) / (neededTokens.length + pantryTokens.length);
+    return 0.7 * dice + (neededTokens[neededTokens.length - 1] === pantryTokens[pantryTokens.length - 1] ? 0.3 : 0);
+};
+
+const buildPantryIndex = (pantryItems) => {
+    const index = new Map();
+    pantryItems.forEach(item => {
+        const key = normalizeIngredientName(item.name);
+        index.set(key, [...(index.get(key) || []), item]);
+    });
+    // Use up whatever expires first, then whatever was bought first.
+    index.forEach(items => items.sort((a, b) => (a.bestBy || Infinity) - (b.bestBy || Infinity) || (a.createdAt || 0) - (b.createdAt || 0)));
+    return index;
+};
+
+/**
+ * Finds the pantry items that can satisfy one recipe line. `mappings` holds user-confirmed
+ * choices keyed by normalized recipe name (null means "I don't have this").
+ * Returns status 'matched' with every pantry item sharing the same key, 'ambiguous' with
+ * ranked candidates for the user to pick from, or 'missing'.
+ */
+const matchIngredient = (neededName, pantryIndex, mappings = {}) => {
+    const neededKey = normalizeIngredientName(neededName);
+    const result = (status, items = [], candidates = []) => ({ neededKey, status, items, candidates });
+
+    if (pantryIndex.has(neededKey)) return result('matched', pantryIndex.get(neededKey));
+    if (neededKey in mappings) {
+        const mappedKey = mappings[neededKey];
+        return mappedKey && pantryIndex.has(mappedKey) ? result('matched', pantryIndex.get(mappedKey)) : result('missing');
+    }
+
+    const candidates = [...pantryIndex.entries()]
+        .map(([pantryKey, items]) => ({ pantryKey, items, score: scoreIngredientMatch(neededKey, pantryKey) }))
+        .filter(candidate => candidate.score >= MATCH_CANDIDATE_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+    return candidates.length > 0 ? result('ambiguous', [], candidates) : result('missing');
+};
+
+const matchRecipeIngredients = (recipe, pantryItems, mappings) => {
+    const pantryIndex = buildPantryIndex(pantryItems);
+    return recipe.ingredientsNeeded.map(needed => ({ needed, ...matchIngredient(needed.name, pantryIndex, mappings) }));
+};
+
+/**
+ * Works out how much of each matched pantry item a recipe consumes, drawing from several
+ * items for one line when needed and never handing out the same stock twice.
+ * Quantities are converted into the recipe's unit; a line whose only stock is in a unit we
+ * can't convert from is marked 'incompatible' rather than compared number-to-number.
+ * Returns the per-line allocations and the resulting quantity of every touched pantry item.
+ */
+const allocateRecipeIngredients = (matches) => {
+    const updatedQuantities = new Map();
+    const lines = matches.map(match => {
+        const { needed } = match;
+        let outstanding = parseFloat(needed.quantity) || 0;
+        const deductions = [];
+        const incompatibleItems = [];
+        for (const item of match.items) {
+            if (outstanding <= 0.001) break;
+            const itemRemaining = updatedQuantities.has(item.id) ? updatedQuantities.get(item.id) : parseFloat(item.quantity) || 0;
+            if (itemRemaining <= 0) continue;
+            const available = convertQuantity(itemRemaining, item.unit, needed.unit, needed.name);
+            if (available === null) { incompatibleItems.push(item); continue; }
+            const taken = Math.min(available, outstanding);
+            const amount = convertQuantity(taken, needed.unit, item.unit, needed.name);
+            outstanding -= taken;
+            deductions.push({ item, amount });
+            updatedQuantities.set(item.id, itemRemaining - amount);
         }
+        const shortfall = Math.max(outstanding, 0);
+        const status = match.status === 'matched' && shortfall > 0.001 && incompatibleItems.length > 0 ? 'incompatible' : match.status;
+        return { ...match, status, deductions, incompatibleItems, shortfall };
+    });
+    return { lines, updatedQuantities };
+};
+
+// --- Shortfall Report ---
+const formatQuantity = (quantity) => String(Number((parseFloat(quantity) || 0).toFixed(2)));
+
+/**
+ * Line-by-line stock check for a recipe. Each entry is the recipe line with a status of 'ok',
+ * 'short', 'missing', 'incompatible' or 'ambiguous' and its shortfall in the recipe's own unit.
+ */
+const getShortfallReport = (recipe, pantryItems, mappings) => {
+    const { lines } = allocateRecipeIngredients(matchRecipeIngredients(recipe, pantryItems, mappings));
+    return lines.map(line => {
+        if (line.status === 'matched') return { ...line, status: line.shortfall > 0.001 ? 'short' : 'ok' };
+        return { ...line, shortfall: line.status === 'incompatible' ? line.shortfall : parseFloat(line.needed.quantity) || 0 };
+    });
+};
+
+// Lines that can be fixed by buying more: nothing in the pantry, or not enough of it.
+const getBuyableShortfall = (report) => report.filter(line => line.status === 'short' || line.status === 'missing');
+
+const describeShortfallLine = ({ needed, status, items, incompatibleItems }) => {
+    if (status === 'incompatible') {
+        const stocked = incompatibleItems.map(i => `${i.quantity} ${i.unit}`).join(' + ');
+        return `Can't compare ${needed.quantity} ${needed.unit} of ${needed.name} with the ${stocked} in your pantry. Try editing the pantry item's unit.`;
+    }
+    if (status === 'short') {
+        const available = items.map(i => `${i.quantity} ${i.unit}`).join(' + ');
+        return `Not enough ${needed.name}. You need ${needed.quantity} ${needed.unit} but only have ${available}.`;
+    }
+    return `You don't have any ${needed.name} (or a similar ingredient).`;
+};
+
+// --- Shopping List ---
+const shoppingAisles = ['Produce', 'Meat & Seafood', 'Dairy & Eggs', 'Bakery', 'Frozen', 'Pantry', 'Condiments & Sauces', 'Other'];
+const aisleByCategory = { produce: 'Produce', meat: 'Meat & Seafood', seafood: 'Meat & Seafood', dairy: 'Dairy & Eggs', eggs: 'Dairy & Eggs', bakery: 'Bakery', frozen: 'Frozen', dryGoods: 'Pantry', condiments: 'Condiments & Sauces' };
+
+const getDefaultAisle = (name) => aisleByCategory[getIngredientCategory(name)] || 'Other';
 
-        for (const ingredient of updatedIngredientsMap.values()) {
-            const docRef = doc(db, `artifacts/${appId}/users/${user.uid}/ingredients`, ingredient.id);
-            if (ingredient.quantity <= 0.001) batch.delete(docRef);
-            else batch.update(docRef, { quantity: ingredient.quantity });
+/**
+ * Brings a shopping list document up to the current shape. Older items kept quantity as free text
+ * ("2", "1 1/2 lbs"), so a leading number becomes the quantity and any words after it the unit.
+ */
+const toShoppingItem = (item) => {
+    let { quantity, unit = '' } = item;
+    if (typeof quantity !== 'number') {
+        const [, amount = '', rest = ''] = String(quantity ?? '').match(/^\s*([\d\s./¼½¾⅓⅔⅛]*)(.*)$/) || [];
+        const parsed = parseQuantityText(amount);
+        quantity = parsed > 0 ? parsed : 1;
+        unit = unit || (parsed > 0 ? rest.trim() : '');
+    }
+    // Aisles outside the known list (from an import, or renamed since) would otherwise have no group to show in.
+    const aisle = shoppingAisles.includes(item.aisle) ? item.aisle : getDefaultAisle(item.name);
+    return { ...item, quantity, unit, aisle, checked: Boolean(item.checked) };
+};
+
+// An unchecked entry for the same ingredient in a compatible unit, which new amounts should be added to.
+const findShoppingMergeTarget = (shoppingList, { name, unit }) => {
+    const key = normalizeIngredientName(name);
+    return shoppingList.find(item => !item.checked && normalizeIngredientName(item.name) === key && convertQuantity(1, unit, item.unit, name) !== null) || null;
+};
+
+// Groups of entries for the same ingredient that can be folded into the first one: [{ keep, quantity, removeIds }].
+const getShoppingDuplicateMerges = (shoppingList) => {
+    const merges = [];
+    const remaining = [...shoppingList].filter(item => !item.checked).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    while (remaining.length > 0) {
+        const keep = remaining.shift();
+        const duplicates = remaining.filter(item => findShoppingMergeTarget([keep], item));
+        if (duplicates.length === 0) continue;
+        const quantity = duplicates.reduce((sum, item) => sum + convertQuantity(item.quantity, item.unit, keep.unit, keep.name), keep.quantity);
+        merges.push({ keep, quantity: Math.round(quantity * 100) / 100, removeIds: duplicates.map(item => item.id) });
+        duplicates.forEach(item => remaining.splice(remaining.indexOf(item), 1));
+    }
+    return merges;
+};
+
+/**
+ * Shopping list changes for several items added at once, in the shape queueShoppingNeeds writes. Items are merged
+ * into matching entries, and into each other, before anything is written, so two lines for one ingredient add up.
+ */
+const getShoppingAdditions = (shoppingList, items) => {
+    const working = shoppingList.map(item => ({ ...item }));
+    const changed = new Set();
+    items.forEach(item => {
+        const quantity = parseFloat(item.quantity) || 0;
+        const target = findShoppingMergeTarget(working, item);
+        if (!target) {
+            const added = { name: item.name, quantity, unit: item.unit || '', isNew: true };
+            working.push(added);
+            changed.add(added);
+            return;
         }
-        
-        const recipeId = recipe.id || `${Date.now()}-${recipe.recipeName.replace(/\s/g, '-')}`;
-        const cookedRecipe = { ...recipe, id: recipeId, cookedAt: Date.now() };
-        const recentDocRef = doc(db, `artifacts/${appId}/users/${user.uid}/recentlyCooked`, recipeId);
-        batch.set(recentDocRef, cookedRecipe);
+        target.quantity = Math.round((target.quantity + convertQuantity(quantity, item.unit, target.unit, item.name)) * 100) / 100;
+        changed.add(target);
+    });
+    return [...changed].map(({ isNew, ...item }) => (isNew ? item : { name: item.name, quantity: item.quantity, unit: item.unit || '', existingItem: item }));
+};
 
-        try {
-            await batch.commit();
-            setSelectedRecipe(null); setRecipes([]); setIsCookingMode(false);
-            setError({type: 'success', message: `Enjoy your ${recipe.recipeName}! Your pantry has been updated.`});
-            setTimeout(() => setError(null), 5000);
-        } catch (err) { console.error("Error finishing cooking:", err); setError("Failed to update pantry."); }
-    };
+// --- Staples ---
+const getStapleId = (key) => key.replace(/\s/g, '-');
 
-    const handleFavoriteRecipe = async (recipe) => {
-        if (!user) return;
-        const recipeId = recipe.id || `${Date.now()}-${recipe.recipeName.replace(/\s/g, '-')}`;
-        const favDocRef = doc(db, `artifacts/${appId}/users/${user.uid}/favoritedRecipes`, recipeId);
-        const isFavorited = favoritedRecipes.some(r => r.id === recipeId);
-        try {
-            if (isFavorited) await deleteDoc(favDocRef);
-            else await setDoc(favDocRef, { ...recipe, id: recipeId });
-        } catch (err) { console.error("Error favoriting recipe:", err); }
-    };
-    
-    // --- Navigation & Render Logic ---
-    if (!isAuthReady) return <div className="bg-gray-50 min-h-screen flex items-center justify-center"><Loader text="Connecting to services..." /></div>;
-    if (!user) return <AuthScreen onAuth={handleAuthAction} view={authView} setView={setAuthView} error={error} setError={setError} />;
-    if (isCookingMode && selectedRecipe) return <CookingView recipe={selectedRecipe} onFinishCooking={handleFinishCooking} />;
+// How much of a staple the pantry holds, in the staple's own unit. Stock in units we can't convert from is ignored.
+const getStapleStock = (staple, pantryItems) => pantryItems
+    .filter(item => normalizeIngredientName(item.name) === staple.key)
+    .reduce((sum, item) => sum + (convertQuantity(parseFloat(item.quantity) || 0, item.unit, staple.unit, staple.name) ?? 0), 0);
 
-    const renderMainContent = () => {
-        if (isLoading) return <Loader text="Finding recipes..." />;
-        if (selectedRecipe) return <RecipeDetail recipe={selectedRecipe} onStartCooking={() => { if(checkIngredients(selectedRecipe)) setIsCookingMode(true); }} onBack={() => setSelectedRecipe(null)} />;
-        if (recipes.length > 0) return <RecipeList recipes={recipes} onSelect={setSelectedRecipe} onBack={() => setRecipes([])} />;
-        
-        return (
-            <div className="space-y-8">
-                <PantrySection ingredients={ingredients} onDelete={handleDeleteIngredient} onAdd={handleAddIngredient} onUpdate={handleUpdateIngredient} isCollapsed={isPantryCollapsed} setIsCollapsed={setIsPantryCollapsed} />
-                <ShoppingListSection shoppingList={shoppingList} onAdd={handleAddToShoppingList} onDelete={handleDeleteFromShoppingList} onMove={() => setIsMoveModalOpen(true)} />
-                <HistorySection favoritedRecipes={favoritedRecipes} recentlyCooked={recentlyCooked} onCookAgain={(r) => { if(checkIngredients(r)) { setSelectedRecipe(r); setIsCookingMode(true); } }} onFavorite={handleFavoriteRecipe} favoritedIds={favoritedRecipes.map(r => r.id)} />
-            </div>
-        );
-    };
+const getLowStaples = (staples, pantryItems) => staples
+    .map(staple => ({ staple, stock: getStapleStock(staple, pantryItems) }))
+    .filter(({ staple, stock }) => stock < staple.minQuantity - 0.001);
 
-    return (
-        <div className="bg-gray-50 min-h-screen font-sans text-gray-800">
-            {isMoveModalOpen && <MoveToPantryModal items={shoppingList} onConfirm={handleMoveToPantry} onCancel={() => setIsMoveModalOpen(false)} />}
-            <div className="container mx-auto p-4 md:p-8">
-                <header className="text-center mb-8 relative">
-                    <h1 className="text-4xl md:text-5xl font-bold text-gray-900 flex items-center justify-center">Fridge Forager</h1>
-                    <p className="text-gray-600 mt-2">What can we make with what you have?</p>
-                    <button onClick={handleLogout} className="absolute top-0 right-0 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500">Logout</button>
-                </header>
-                {error && ( <div className={`p-4 mb-6 rounded-lg text-center ${typeof error === 'object' && error.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`} role="alert">{typeof error === 'string' ? error : error.message}</div> )}
-                <div className="space-y-8">
-                    {!selectedRecipe && recipes.length === 0 && ( <FindRecipeSection onFindRecipes={findRecipes} preferences={preferences} setPreferences={setPreferences} mealType={mealType} setMealType={setMealType} hasIngredients={ingredients.length > 0} selectedTags={selectedTags} setSelectedTags={setSelectedTags} /> )}
-                    {renderMainContent()}
+/**
+ * What to put on the shopping list to bring low staples back up to their minimum, in the same
+ * { name, quantity, unit, existingItem? } shape as the meal plan's needs. Amounts already on the
+ * list count towards the minimum, so running this again never adds the same thing twice.
+ */
+const getStapleRestockNeeds = (lowStaples, shoppingList) => lowStaples.flatMap(({ staple, stock }) => {
+    const listed = shoppingList.filter(item => normalizeIngredientName(item.name) === staple.key);
+    const listedQuantity = listed.reduce((sum, item) => sum + (convertQuantity(item.quantity, item.unit, staple.unit, staple.name) ?? 0), 0);
+    const outstanding = staple.minQuantity - stock - listedQuantity;
+    if (outstanding <= 0.001) return [];
+    const target = findShoppingMergeTarget(shoppingList, staple);
+    if (target) return [{ name: target.name, quantity: Math.ceil((target.quantity + convertQuantity(outstanding, staple.unit, target.unit, staple.name)) * 100) / 100, unit: target.unit, existingItem: target }];
+    // On the list in a unit we can't compare; trust the user's entry.
+    if (listed.length > 0) return [];
+    return [{ name: staple.name, quantity: Math.ceil(outstanding * 100) / 100, unit: staple.unit }];
+});
+
+// --- Leftovers ---
+const LEFTOVER_SHELF_DAYS = 3;
+const LEFTOVER_UNIT = 'serving';
+
+const isLeftover = (ingredient) => Boolean(ingredient.leftover);
+
+// Cooked servings put back in the pantry, linked to the recipe they came from and good for a few days.
+const createLeftover = (recipe, recipeId, servings, now = Date.now()) => ({
+    name: `Leftover ${recipe.recipeName}`,
+    quantity: servings,
+    unit: LEFTOVER_UNIT,
+    location: 'fridge',
+    bestBy: now + LEFTOVER_SHELF_DAYS * DAY_MS,
+    leftover: { recipeId, recipeName: recipe.recipeName, cookedAt: now },
+});
+
+// --- Prices & Budget ---
+// Built once, so a mistyped VITE_CURRENCY falls back to dollars instead of throwing on every render.
+const priceFormat = (() => {
+    // @ts-ignore
+    const env = typeof import.meta !== 'undefined' && typeof import.meta.env !== 'undefined' ? import.meta.env : {};
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: env.VITE_CURRENCY || 'USD' });
+    } catch (err) {
+        console.error(`Unknown VITE_CURRENCY "${env.VITE_CURRENCY}", showing prices in USD:`, err);
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' });
+    }
+})();
+const formatPrice = (value) => priceFormat.format(value);
+
+// One record per purchase rather than one per ingredient, so the history shows how a price moves over time.
+const createPriceRecord = (item, price, now = Date.now()) => ({ name: item.name, key: normalizeIngredientName(item.name), price, quantity: parseFloat(item.quantity) || 0, unit: item.unit || '', paidAt: now });
+
+// Every recorded purchase of one ingredient, newest first.
+const getIngredientPrices = (priceHistory, key) => priceHistory.filter(record => record.key === key).sort((a, b) => b.paidAt - a.paidAt);
+
+// The most recent purchase of each ingredient, keyed by normalized name.
+const getLatestPrices = (priceHistory) => {
+    const latest = new Map();
+    priceHistory.filter(record => record.quantity > 0).forEach(record => {
+        const current = latest.get(record.key);
+        if (!current || record.paidAt > current.paidAt) latest.set(record.key, record);
+    });
+    return latest;
+};
+
+// What `quantity` `unit` of an ingredient costs at the rate of a purchase; null when the units can't be compared.
+const getCostAt = (purchase, name, quantity, unit) => {
+    const amount = convertQuantity(quantity, unit, purchase.unit, name);
+    return amount === null || !(purchase.quantity > 0) ? null : (amount / purchase.quantity) * purchase.price;
+};
+
+/**
+ * Estimates a recipe's cost from the latest price paid for each ingredient: { total, priced, unpriced }.
+ * `total` covers only the priced ingredients and is null when none of them have a price yet.
+ */
+const estimateRecipeCost = (recipe, latestPrices, mappings = {}) => {
+    const costs = recipe.ingredientsNeeded.map(needed => {
+        const key = normalizeIngredientName(needed.name);
+        const purchase = latestPrices.get(mappings[key] || key);
+        return { name: needed.name, cost: purchase ? getCostAt(purchase, needed.name, parseFloat(needed.quantity) || 0, needed.unit) : null };
+    });
+    const priced = costs.filter(c => c.cost !== null);
+    return { total: priced.length > 0 ? priced.reduce((sum, c) => sum + c.cost, 0) : null, priced: priced.length, unpriced: costs.filter(c => c.cost === null).map(c => c.name) };
+};
+
+// What a cook used up, priced at what was paid for each pantry item, or the latest price when that wasn't recorded.
+const getDeductionCost = (rows, latestPrices) => {
+    const costs = rows.map(({ ingredient, newQuantity }) => {
+        const used = Math.max((parseFloat(ingredient.quantity) || 0) - newQuantity, 0);
+        const purchase = ingredient.purchasePrice || latestPrices.get(normalizeIngredientName(ingredient.name));
+        return purchase ? getCostAt(purchase, ingredient.name, used, ingredient.unit) : null;
+    }).filter(cost => cost !== null);
+    return costs.length > 0 ? Math.round(costs.reduce((sum, cost) => sum + cost, 0) * 100) / 100 : null;
+};
+
+// Prompt text for budget-friendly searches, quoting recent prices so the model can tell cheap from expensive.
+const describeBudgetPreference = (latestPrices, limit = 15) => {
+    const recent = [...latestPrices.values()].sort((a, b) => b.paidAt - a.paidAt).slice(0, limit);
+    const priceList = recent.map(record => `${record.name} ${formatPrice(record.price)} for ${record.quantity} ${record.unit}`.trim()).join(', ');
+    return `The user is cooking on a budget: use up what is already in the pantry first, favor inexpensive ingredients such as beans, lentils, rice, eggs and seasonal vegetables, and keep pricey ones like meat, seafood and cheese to small amounts.${priceList ? ` Recent prices they paid: ${priceList}.` : ''}`;
+};
+
+// --- Meal Planning ---
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner'];
+
+// Weeks run Monday to Sunday; returns the seven day timestamps of the week containing `timestamp`.
+const getWeekDays = (timestamp) => {
+    const monday = new Date(startOfDay(timestamp));
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return Array.from({ length: 7 }, (_, i) => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i).getTime());
+};
+
+// Hands out pantry or shopping-list stock towards `baseQuantity`, remembering what each item has left in `used`.
+const takeFromStock = (items, baseQuantity, baseUnit, name, used) => {
+    let outstanding = baseQuantity;
+    for (const item of items) {
+        if (outstanding <= 0.001) break;
+        const itemRemaining = used.has(item.id) ? used.get(item.id) : parseFloat(item.quantity) || 0;
+        const available = itemRemaining > 0 ? convertQuantity(itemRemaining, item.unit, baseUnit, name) : null;
+        if (!available) continue;
+        const taken = Math.min(available, outstanding);
+        used.set(item.id, itemRemaining - convertQuantity(taken, baseUnit, item.unit, name));
+        outstanding -= taken;
+    }
+    return outstanding;
+};
+
+/**
+ * Totals every planned meal's ingredients (scaled to its servings), then takes off what the pantry
+ * and the shopping list already cover. Returns what is left to buy: new items to add, plus
+ * `existingItem` when the amount should be topped up on a shopping list entry instead.
+ * Recipe lines that only ambiguously match the pantry count as not stocked.
+ */
+const getMealPlanShoppingNeeds = (plannedMeals, pantryItems, shoppingList, mappings) => {
+    const totals = new Map();
+    plannedMeals.forEach(({ recipe, servings }) => {
+        scaleRecipe(recipe, servings || getRecipeServings(recipe)).ingredientsNeeded.forEach(ing => {
+            const key = normalizeIngredientName(ing.name);
+            const { baseQuantity, baseUnit } = getNormalizedQuantity(parseFloat(ing.quantity) || 0, ing.unit);
+            const total = totals.get(`${key}|${baseUnit}`) || { key, name: ing.name, unit: ing.unit || '', baseUnit, baseQuantity: 0 };
+            total.baseQuantity += baseQuantity;
+            totals.set(`${key}|${baseUnit}`, total);
+        });
+    });
+
+    const pantryIndex = buildPantryIndex(pantryItems);
+    const shoppingIndex = buildPantryIndex(shoppingList);
+    const used = new Map();
+    // One ingredient needed in both volume and mass can top up the same entry twice; those add up into one update.
+    const topUps = new Map();
+    const additions = [...totals.values()].flatMap(total => {
+        const match = matchIngredient(total.name, pantryIndex, mappings);
+        const afterPantry = takeFromStock(match.status === 'matched' ? match.items : [], total.baseQuantity, total.baseUnit, total.name, used);
+        const listed = shoppingIndex.get(total.key) || [];
+        const outstanding = takeFromStock(listed, afterPantry, total.baseUnit, total.name, used);
+        if (outstanding <= 0.001) return [];
+        const topUp = listed.find(item => convertQuantity(1, total.baseUnit, item.unit, total.name) !== null);
+        if (topUp) {
+            const current = topUps.get(topUp.id) || { name: topUp.name, quantity: parseFloat(topUp.quantity) || 0, unit: topUp.unit || '', existingItem: topUp };
+            topUps.set(topUp.id, { ...current, quantity: current.quantity + convertQuantity(outstanding, total.baseUnit, topUp.unit, total.name) });
+            return [];
+        }
+        // Already on the list in a unit we can't compare, so leave the user's entry alone rather than add a duplicate.
+        if (listed.length > 0) return [];
+        const { quantity, unit } = promoteUnit(convertQuantity(outstanding, total.baseUnit, total.unit, total.name), total.unit);
+        return [{ name: total.name, quantity, unit }];
+    });
+    return [...additions, ...[...topUps.values()].map(need => ({ ...need, quantity: Math.ceil(need.quantity * 100) / 100 }))];
+};
+
+// --- Cooking Insights ---
+const INSIGHT_WEEKS = 8;
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * One event per time a recipe was cooked. The ledger keeps every cook while recentlyCooked holds only the
+ * latest per recipe, so recentlyCooked just fills in cooks from before the ledger recorded them.
+ */
+const getCookEvents = (ledger, recentlyCooked) => {
+    const events = ledger.filter(entry => entry.type === 'cook' && !entry.undoneAt).map(entry => {
+        const recipe = entry.recipe || recentlyCooked.find(r => r.id === entry.recentlyCooked?.id) || {};
+        return { at: entry.createdAt, recipeId: entry.recentlyCooked?.id || null, recipeName: recipe.recipeName || entry.description.replace(/^Cooked /, ''), mealType: recipe.mealType || null, cuisines: recipe.cuisines || [], cost: recipe.cost ?? null, changes: entry.changes || [] };
+    });
+    const loggedIds = new Set(events.map(e => e.recipeId));
+    recentlyCooked.filter(r => r.cookedAt && !loggedIds.has(r.id)).forEach(r => {
+        events.push({ at: r.cookedAt, recipeId: r.id, recipeName: r.recipeName, mealType: r.mealType || null, cuisines: r.cuisines || [], cost: r.cost ?? null, changes: [] });
+    });
+    return events.sort((a, b) => a.at - b.at);
+};
+
+// Monday starts of the last `count` weeks, oldest first.
+const getRecentWeekStarts = (count = INSIGHT_WEEKS, now = Date.now()) => {
+    const thisWeek = getWeekDays(now)[0];
+    return Array.from({ length: count }, (_, i) => getWeekDays(thisWeek - (count - 1 - i) * 7 * DAY_MS + DAY_MS / 2)[0]);
+};
+
+/**
+ * Totals timestamped items per week for a chart: { rows: [{ label, [series]: total }], keys }. `getKeys(item)`
+ * names the series an item counts towards, so a recipe tagged with two cuisines counts once for each, and
+ * `getValue(item)` is what it adds (1 to count items, or e.g. an amount spent).
+ */
+const getWeeklySeries = (items, getKeys, weekStarts, getValue = () => 1) => {
+    const keys = new Set();
+    const rows = weekStarts.map(week => ({ week, label: new Date(week).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) }));
+    items.forEach(item => {
+        const row = [...rows].reverse().find(r => item.at >= r.week);
+        if (!row) return;
+        getKeys(item).forEach(key => { keys.add(key); row[key] = (row[key] || 0) + getValue(item); });
+    });
+    return { rows: rows.map(row => ({ ...Object.fromEntries([...keys].map(key => [key, 0])), ...row })), keys: [...keys] };
+};
+
+const countByName = (names, limit) => {
+    const counts = new Map();
+    names.forEach(name => {
+        const key = normalizeIngredientName(name) || name.toLowerCase();
+        const current = counts.get(key) || { name, count: 0 };
+        counts.set(key, { ...current, count: current.count + 1 });
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+};
+
+const getTopRecipes = (events, limit = 5) => {
+    const counts = new Map();
+    events.forEach(event => {
+        const key = event.recipeName.trim().toLowerCase();
+        const current = counts.get(key) || { recipeName: event.recipeName, count: 0, lastCookedAt: 0 };
+        counts.set(key, { ...current, count: current.count + 1, lastCookedAt: Math.max(current.lastCookedAt, event.at) });
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count || b.lastCookedAt - a.lastCookedAt).slice(0, limit);
+};
+
+// Pantry items drawn on by cooking versus thrown out, i.e. deleted while some was still left.
+const getStockFlow = (ledger, weekStarts) => {
+    const items = ledger.filter(entry => !entry.undoneAt).flatMap(entry => {
+        if (entry.type === 'cook') return entry.changes.filter(change => change.before).map(change => ({ at: entry.createdAt, kind: 'Used', name: change.name }));
+        if (entry.type === 'delete') return entry.changes.filter(change => change.before?.quantity > 0).map(change => ({ at: entry.createdAt, kind: 'Wasted', name: change.name }));
+        return [];
+    });
+    const { rows } = getWeeklySeries(items, item => [item.kind], weekStarts);
+    const wasted = items.filter(item => item.kind === 'Wasted');
+    return { rows: rows.map(row => ({ Used: 0, Wasted: 0, ...row })), used: items.length - wasted.length, wasted: wasted.length, mostWasted: countByName(wasted.map(item => item.name), 5) };
+};
+
+// Grocery spending per week next to what the meals cooked that week used up.
+const getSpending = (priceHistory, events, weekStarts) => {
+    const items = [
+        ...priceHistory.map(record => ({ at: record.paidAt, kind: 'Groceries', amount: record.price })),
+        ...events.filter(event => event.cost !== null).map(event => ({ at: event.at, kind: 'Cooked meals', amount: event.cost })),
+    ].filter(item => item.at >= weekStarts[0]);
+    const { rows } = getWeeklySeries(items, item => [item.kind], weekStarts, item => item.amount);
+    const meals = items.filter(item => item.kind === 'Cooked meals');
+    return {
+        rows: rows.map(row => ({ Groceries: 0, 'Cooked meals': 0, ...row })),
+        groceries: items.filter(item => item.kind === 'Groceries').reduce((sum, item) => sum + item.amount, 0),
+        averageMealCost: meals.length > 0 ? meals.reduce((sum, item) => sum + item.amount, 0) / meals.length : null,
+    };
+};
+
+const getCookingInsights = (ledger, recentlyCooked, priceHistory = [], now = Date.now()) => {
+    const events = getCookEvents(ledger, recentlyCooked);
+    const weekStarts = getRecentWeekStarts(INSIGHT_WEEKS, now);
+    return {
+        cookCount: events.length,
+        mealsPerWeek: getWeeklySeries(events, () => ['Meals'], weekStarts).rows.map(row => ({ Meals: 0, ...row })),
+        mealTypes: getWeeklySeries(events, event => [event.mealType ? capitalize(event.mealType) : 'Unspecified'], weekStarts),
+        cuisines: getWeeklySeries(events, event => (event.cuisines.length > 0 ? event.cuisines : ['Untagged']), weekStarts),
+        topIngredients: countByName(events.flatMap(event => event.changes.filter(change => change.before).map(change => change.name)), 8),
+        topRecipes: getTopRecipes(events),
+        stockFlow: getStockFlow(ledger, weekStarts),
+        spending: getSpending(priceHistory, events, weekStarts),
+    };
+};
+
+// --- Recipe Reviews ---
+const recipeContentFields = ['recipeName', 'description', 'servings', 'ingredientsNeeded', 'instructions'];
+const getRecipeContent = (recipe) => Object.fromEntries(recipeContentFields.map(field => [field, recipe[field] ?? null]));
+
+// A recipe's latest cook lives on its recentlyCooked document and earlier ones in `pastCooks`, each with its own rating and notes.
+const getLatestRatings = (recentlyCooked) => recentlyCooked
+    .map(recipe => ({ recipeName: recipe.recipeName, ...[recipe, ...(recipe.pastCooks || [])].filter(cook => cook.rating).sort((a, b) => (b.cookedAt || 0) - (a.cookedAt || 0))[0] }))
+    .filter(cook => cook.rating)
+    .sort((a, b) => (b.cookedAt || 0) - (a.cookedAt || 0));
+
+// Prompt text steering new suggestions towards dishes the user rated highly and away from ones they didn't enjoy.
+const describeRatingFeedback = (recentlyCooked, limit = 5) => {
+    const ratings = getLatestRatings(recentlyCooked);
+    const describe = (list) => list.slice(0, limit).map(r => `${r.recipeName} (${r.rating}/5${r.notes ? `, noted "${r.notes.slice(0, 120)}"` : ''})`).join(', ');
+    const liked = ratings.filter(r => r.rating >= 4);
+    const disliked = ratings.filter(r => r.rating <= 2);
+    return [
+        liked.length > 0 && `The user rated these past meals highly, so lean towards similar dishes: ${describe(liked)}.`,
+        disliked.length > 0 && `They rated these poorly, so avoid similar dishes and take their notes into account: ${describe(disliked)}.`,
+    ].filter(Boolean).join(' ');
+};
+
+const RECENT_COOK_DAYS = 14;
+const isSameRecipeName = (a = '', b = '') => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Dishes cooked in the last two weeks, newest first, so new suggestions don't keep coming back to them.
+const getRecentlyCookedNames = (recentlyCooked, now = Date.now(), limit = 10) => recentlyCooked
+    .filter(recipe => recipe.cookedAt && now - recipe.cookedAt < RECENT_COOK_DAYS * DAY_MS)
+    .sort((a, b) => b.cookedAt - a.cookedAt)
+    .slice(0, limit)
+    .map(recipe => recipe.recipeName);
+
+// --- Pantry Ledger ---
+const withoutId = (data) => { const copy = { ...data }; delete copy.id; return copy; };
+
+// One pantry document's state before and after a transaction; null means the document didn't exist.
+const createLedgerChange = (ingredientId, before, after) => ({
+    ingredientId,
+    name: (after || before).name,
+    unit: (after || before).unit || '',
+    before: before ? withoutId(before) : null,
+    after: after ? withoutId(after) : null,
+});
+
+// --- Cooking Session & Timers ---
+const COOKING_SESSION_KEY = 'fridge-forager/cooking-session';
+
+// The recipe being cooked plus step/timer progress, kept in localStorage so a reload resumes where you were.
+const loadCookingSession = () => {
+    try { return JSON.parse(localStorage.getItem(COOKING_SESSION_KEY)); } catch { return null; }
+};
+const saveCookingSession = (patch) => {
+    try { localStorage.setItem(COOKING_SESSION_KEY, JSON.stringify({ ...loadCookingSession(), ...patch })); } catch (e) { console.error("Error saving cooking progress:", e); }
+};
+const clearCookingSession = () => localStorage.removeItem(COOKING_SESSION_KEY);
+
+const numberWords = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, fifty: 50, sixty: 60, half: 0.5, dozen: 12 };
+const unicodeFractions = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+
+// Reads "2", "1.5", "1 1/2", "½", "1½" or a number word; NaN when it isn't a quantity.
+const parseQuantityText = (text) => {
+    const raw = text.trim().toLowerCase();
+    if (raw in numberWords) return numberWords[raw];
+    const spaced = raw.replace(/(\d)([¼½¾⅓⅔⅛])/g, '$1 $2');
+    if (!/^[\d\s./¼½¾⅓⅔⅛]+$/.test(spaced)) return NaN;
+    return spaced.split(/\s+/).filter(Boolean).reduce((sum, part) => {
+        if (part in unicodeFractions) return sum + unicodeFractions[part];
+        if (part.includes('/')) { const [numerator, denominator] = part.split('/').map(Number); return sum + numerator / denominator; }
+        return sum + Number(part);
+    }, 0);
+};
+
+const durationUnitSeconds = { s: 1, sec: 1, secs: 1, second: 1, seconds: 1, m: 60, min: 60, mins: 60, minute: 60, minutes: 60, h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600 };
+const durationPattern = /\b(half an hour|(\d+(?:\.\d+)?(?:\s+\d+\/\d+)?|\d+\/\d+|[¼½¾]|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty-five|forty|fifty|sixty)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?)\b)/gi;
+
+const formatDuration = (seconds) => {
+    const h = Math.floor(seconds / 3600), m = Math.floor((seconds % 3600) / 60), sec = Math.round(seconds % 60);
+    return [h && `${h} hr`, m && `${m} min`, sec && `${sec} sec`].filter(Boolean).join(' ') || '0 sec';
+};
+
+/**
+ * Finds cooking times in an instruction ("simmer for 10 minutes", "bake 1 hour 15 minutes",
+ * "rest 5-7 min") and returns [{ label, seconds }]. Ranges use the lower bound so you check early.
+ */
+const parseStepDurations = (text) => {
+    const found = [];
+    let previousEnd = -1;
+    for (const match of text.matchAll(durationPattern)) {
+        const seconds = match[1].toLowerCase() === 'half an hour' ? 1800 : parseQuantityText(match[2]) * durationUnitSeconds[match[4].toLowerCase()];
+        if (!seconds) continue;
+        const previous = found[found.length - 1];
+        // "1 hour 15 minutes" / "1 hour and 15 minutes" is one timer, not two.
+        if (previous && /^\s*(and\s*)?$/i.test(text.slice(previousEnd, match.index)) && previous.seconds > seconds) {
+            previous.seconds += seconds;
+            previous.label = text.slice(previous.start, match.index + match[0].length);
+        } else {
+            found.push({ label: match[0], seconds, start: match.index });
+        }
+        previousEnd = match.index + match[0].length;
+    }
+    return found.map(({ label, seconds }) => ({ label, seconds }));
+};
+
+// Indexes of the recipe ingredients a step mentions, matched on each ingredient's head noun.
+const getStepIngredientIndexes = (step, ingredientsNeeded) => {
+    const stepTokens = new Set(step.toLowerCase().replace(/[^\p{L}\s]/gu, ' ').split(/\s+/).filter(Boolean).map(singularize));
+    return ingredientsNeeded.reduce((indexes, ing, index) => {
+        const headNoun = normalizeIngredientName(ing.name).split(' ').pop();
+        return stepTokens.has(headNoun) ? [...indexes, index] : indexes;
+    }, []);
+};
+
+// Beeps, vibrates and (if allowed) shows a notification; a timer going off shouldn't be missable.
+const playTimerAlert = (label) => {
+    try {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const audio = new AudioContextClass();
+        [0, 0.4, 0.8].forEach(offset => {
+            const oscillator = audio.createOscillator();
+            oscillator.frequency.value = 880;
+            oscillator.connect(audio.destination);
+            oscillator.start(audio.currentTime + offset);
+            oscillator.stop(audio.currentTime + offset + 0.25);
+        });
+    } catch (e) { console.error("Could not play timer sound:", e); }
+    navigator.vibrate?.([300, 100, 300]);
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') new Notification('Timer done', { body: label });
+};
+
+// --- Ingredient Text Parsing ---
+const unitAliases = {
+    pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz', gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg',
+    liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+    teaspoon: 'tsp', teaspoons: 'tsp', tablespoon: 'tbsp', tablespoons: 'tbsp', tin: 'can', tins: 'can',
+};
+// Units we can't convert but that a grocery line often comes in; kept as the item's unit.
+const packageUnits = ['jar', 'bottle', 'bag', 'box', 'bunch', 'head', 'loaf', 'pack', 'package', 'packet', 'carton', 'slice', 'tub', 'block', 'sprig', 'handful'];
+// Suggestions offered wherever a unit is typed in after parsing.
+const typedUnitSuggestions = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'pinch', 'each', 'dozen', 'clove', 'can', 'bunch', 'jar', 'bag'];
+
+const quantityWordPattern = Object.keys(numberWords).sort((a, b) => b.length - a.length).join('|');
+const leadingQuantityPattern = new RegExp(`^(half\\s+an?|(?:${quantityWordPattern})(?=\\s)|\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|(?:\\d+\\s?)?[¼½¾⅓⅔⅛]|\\d+(?:\\.\\d+)?)(?:\\s*(?:-|–|to)\\s*[\\d./]+)?\\s*(?:x\\b|×)?\\s*`, 'i');
+
+// Maps a word onto the unit we store ("Pounds" -> "lb", "cans" -> "can"), or null if it isn't one.
+const resolveUnitWord = (word) => {
+    const token = word.toLowerCase().replace(/\.$/, '');
+    if (unitAliases[token]) return unitAliases[token];
+    const singular = conversionRates[token.replace(/s$/, '')] ? token.replace(/s$/, '') : token;
+    if (conversionRates[singular] && !['', 'large', 'medium', 'small', 'whole'].includes(singular)) return singular;
+    const packaged = singularize(token);
+    return packageUnits.includes(packaged) ? packaged : null;
+};
+
+/**
+ * Reads one line of a grocery list: "2 lbs chicken breast", "a dozen eggs", "1/2 cup parsley, chopped",
+ * "3x cans of tomatoes". Returns { name, quantity, unit, needsReview } or null for a blank line.
+ * Preparation notes after a comma and anything in brackets are dropped; a line with no amount
+ * defaults to 1 each and is marked `needsReview`.
+ */
+const parseIngredientLine = (line) => {
+    const text = line.replace(/^\s*(?:[-*•]|\d+[.)](?=\s))\s*/, '').replace(/\(.*?\)/g, ' ').split(',')[0].replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    const quantityMatch = text.match(leadingQuantityPattern);
+    const quantity = quantityMatch ? (/^half\s/i.test(quantityMatch[1]) ? 0.5 : parseQuantityText(quantityMatch[1])) : NaN;
+    let rest = quantityMatch ? text.slice(quantityMatch[0].length) : text;
+    let unit = null;
+    const unitMatch = rest.match(/^([\p{L}]+\.?)\s+(?:of\s+)?/u);
+    if (unitMatch && resolveUnitWord(unitMatch[1])) {
+        unit = resolveUnitWord(unitMatch[1]);
+        rest = rest.slice(unitMatch[0].length);
+    }
+    const name = rest.replace(/^of\s+/i, '').trim();
+    if (!name) return { name: text, quantity: 1, unit: 'each', needsReview: true };
+    return { name, quantity: quantity > 0 ? quantity : 1, unit: unit || 'each', needsReview: !(quantity > 0) };
+};
+
+// --- Recipe Import ---
+const htmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', frac12: '½', frac14: '¼', frac34: '¾', deg: '°' };
+
+// Turns a fragment of page HTML into plain text, keeping line breaks between block elements.
+const htmlToText = (html = '') => String(html)
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>|<\/(?:p|li|div|h\d)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+\d*);/gi, (entity, code) => {
+        if (code[0] === '#') return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        return htmlEntities[code.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+const toRecipeIngredient = (line) => {
+    const parsed = parseIngredientLine(line);
+    return parsed && { name: parsed.name, quantity: parsed.quantity, unit: parsed.unit, needsReview: parsed.needsReview };
+};
+
+// Finds the first schema.org Recipe node in parsed JSON-LD, looking through arrays and @graph containers.
+const findRecipeNode = (node) => {
+    if (!node || typeof node !== 'object') return null;
+    if (Array.isArray(node)) return node.map(findRecipeNode).find(Boolean) || null;
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('Recipe')) return node;
+    return findRecipeNode(node['@graph']);
+};
+
+// Reads JSON-LD from pasted JSON or from the <script type="application/ld+json"> blocks of a page's HTML.
+const findJsonLdRecipe = (text) => {
+    const trimmed = text.trim();
+    const blocks = /^[[{]/.test(trimmed) ? [trimmed] : [...trimmed.matchAll(/<script[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)].map(match => match[1]);
+    for (const block of blocks) {
+        try {
+            const node = findRecipeNode(JSON.parse(block));
+            if (node) return node;
+        } catch { /* pages often carry broken or unrelated blocks; try the next one */ }
+    }
+    return null;
+};
+
+// recipeInstructions may be a string, a list of strings, HowToSteps, or HowToSections that contain steps.
+const flattenJsonLdInstructions = (instructions) => {
+    if (!instructions) return [];
+    if (typeof instructions === 'string') return htmlToText(instructions).split('\n');
+    if (Array.isArray(instructions)) return instructions.flatMap(flattenJsonLdInstructions);
+    if (instructions.itemListElement) return flattenJsonLdInstructions(instructions.itemListElement);
+    return flattenJsonLdInstructions(instructions.text || instructions.name);
+};
+
+const parseServings = (value) => {
+    const match = String([].concat(value ?? '')[0]).match(/\d+/);
+    return match ? parseInt(match[0], 10) : DEFAULT_SERVINGS;
+};
+
+const cleanInstruction = (line) => line.replace(/^\s*(?:step\s*\d+[:.)]?|\d+[.)])\s*/i, '').trim();
+
+const fromJsonLdRecipe = (node) => ({
+    recipeName: htmlToText(node.name) || 'Imported recipe',
+    description: htmlToText(node.description),
+    servings: parseServings(node.recipeYield),
+    ingredientsNeeded: [].concat(node.recipeIngredient || node.ingredients || []).map(line => toRecipeIngredient(htmlToText(line))).filter(Boolean),
+    instructions: flattenJsonLdInstructions(node.recipeInstructions).map(cleanInstruction).filter(Boolean),
+});
+
+const ingredientsHeading = /^ingredients?\s*:?$/i;
+const instructionsHeading = /^(?:instructions|directions|method|steps|preparation)\s*:?$/i;
+const servingsLine = /^(?:serves|servings|yield|makes)\b\s*:?\s*(\d+)/i;
+
+/**
+ * Reads a recipe typed out by hand: a title line, an optional description, then "Ingredients" and
+ * "Instructions" (or "Method", "Directions", ...) sections. Without headings, lines that start with an
+ * amount are taken as ingredients and the rest as steps.
+ */
+const parseRecipeText = (text) => {
+    const [title = '', ...lines] = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const recipe = { recipeName: title.replace(/^#+\s*/, ''), description: '', servings: DEFAULT_SERVINGS, ingredientsNeeded: [], instructions: [] };
+    const hasHeadings = lines.some(line => ingredientsHeading.test(line));
+    const description = [];
+    let section = 'description';
+    lines.forEach(line => {
+        const servings = line.match(servingsLine);
+        if (servings) { recipe.servings = parseInt(servings[1], 10); return; }
+        if (ingredientsHeading.test(line)) { section = 'ingredients'; return; }
+        if (instructionsHeading.test(line)) { section = 'instructions'; return; }
+        const target = hasHeadings ? section : (leadingQuantityPattern.test(line.replace(/^[-*•]\s*/, '')) ? 'ingredients' : 'instructions');
+        if (target === 'ingredients') recipe.ingredientsNeeded.push(toRecipeIngredient(line));
+        else if (target === 'instructions') recipe.instructions.push(cleanInstruction(line));
+        else description.push(line);
+    });
+    recipe.description = description.join(' ');
+    recipe.ingredientsNeeded = recipe.ingredientsNeeded.filter(Boolean);
+    recipe.instructions = recipe.instructions.filter(Boolean);
+    return recipe;
+};
+
+// Parses pasted JSON-LD, page HTML or plain text into the app's recipe shape. Throws if nothing usable was found.
+const parseRecipeImport = (text) => {
+    const node = findJsonLdRecipe(text);
+    const recipe = node ? fromJsonLdRecipe(node) : parseRecipeText(/<[a-z][^>]*>/i.test(text) ? htmlToText(text) : text);
+    if (!recipe.recipeName || recipe.ingredientsNeeded.length === 0) throw new Error("We couldn't find a recipe name and ingredient list in that text.");
+    return recipe;
+};
+
+// --- Recipe Export ---
+const formatIngredientLine = ({ quantity, unit, name }) => [formatQuantity(quantity), unit && unit !== 'each' ? unit : '', name].filter(Boolean).join(' ');
+
+const getRecipeFileName = (recipe, extension) => `${recipe.recipeName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'recipe'}.${extension}`;
+
+const escapeHtml = (text = '') => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const recipeToMarkdown = (recipe) => [
+    `# ${recipe.recipeName}`,
+    recipe.description && `\n${recipe.description}`,
+    `\n*Serves ${recipe.servings || DEFAULT_SERVINGS}*`,
+    '\n## Ingredients\n',
+    ...recipe.ingredientsNeeded.map(i => `- ${formatIngredientLine(i)}`),
+    '\n## Instructions\n',
+    ...recipe.instructions.map((step, index) => `${index + 1}. ${step}`),
+].filter(Boolean).join('\n') + '\n';
+
+// The schema.org shape recipe sites publish, so the file can be read back by this app's importer or anyone else's.
+const recipeToJsonLd = (recipe) => ({
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.recipeName,
+    description: recipe.description || '',
+    recipeYield: String(recipe.servings || DEFAULT_SERVINGS),
+    recipeIngredient: recipe.ingredientsNeeded.map(formatIngredientLine),
+    recipeInstructions: recipe.instructions.map(text => ({ '@type': 'HowToStep', text })),
+});
+
+// A standalone page that prints cleanly and carries the recipe's JSON-LD for anything that reads it.
+const recipeToPrintableHtml = (recipe) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(recipe.recipeName)}</title>
+<script type="application/ld+json">${JSON.stringify(recipeToJsonLd(recipe)).replace(/</g, '\\u003c')}</script>
+<style>
+body { font-family: Georgia, serif; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+h1 { margin-bottom: 0.25rem; } .meta { color: #6b7280; font-style: italic; } li { margin-bottom: 0.35rem; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(recipe.recipeName)}</h1>
+${recipe.description ? `<p>${escapeHtml(recipe.description)}</p>\n` : ''}<p class="meta">Serves ${escapeHtml(recipe.servings || DEFAULT_SERVINGS)}</p>
+<h2>Ingredients</h2>
+<ul>
+${recipe.ingredientsNeeded.map(i => `<li>${escapeHtml(formatIngredientLine(i))}</li>`).join('\n')}
+</ul>
+<h2>Instructions</h2>
+<ol>
+${recipe.instructions.map(step => `<li>${escapeHtml(step)}</li>`).join('\n')}
+</ol>
+</body>
+</html>
+`;
+
+// --- Dietary Profile ---
+const EMPTY_DIETARY_PROFILE = { allergies: [], diets: [], exclusions: [], householdSize: null };
+
+/**
+ * Words that give a food group away in an ingredient or instruction. `safe` strips phrases that
+ * contain one of those words without containing the food ("almond milk", "gluten-free pasta").
+ * The lists lean towards flagging: a false alarm is cheaper than a missed allergen.
+ */
+const foodGroups = {
+    peanut: { label: 'peanuts', keywords: ['peanut', 'groundnut', 'satay'] },
+    treeNut: { label: 'tree nuts', keywords: ['almond', 'walnut', 'cashew', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut', 'praline', 'marzipan', 'nutella'] },
+    dairy: { label: 'dairy', keywords: ['milk', 'butter', 'cheese', 'cream', 'yogurt', 'yoghurt', 'ghee', 'whey', 'casein', 'parmesan', 'mozzarella', 'cheddar', 'feta', 'ricotta', 'buttermilk', 'custard'], safe: /\b(?:(?:almond|oat|soy|soya|coconut|rice|cashew|hemp)\s+(?:milk|cream|yogh?urt)|(?:peanut|almond|cashew|nut|seed|cocoa|apple|sunflower)\s+butter|cream of tartar|(?:dairy|milk)[- ]free\s+[\p{L}-]+|vegan\s+[\p{L}-]+)/giu },
+    egg: { label: 'eggs', keywords: ['egg', 'mayonnaise', 'mayo', 'meringue', 'aioli'], safe: /\b(?:egg[- ]free|vegan)\s+[\p{L}-]+/giu },
+    gluten: { label: 'gluten', keywords: ['wheat', 'flour', 'bread', 'breadcrumb', 'panko', 'pasta', 'spaghetti', 'noodle', 'barley', 'rye', 'couscous', 'seitan', 'soy sauce', 'tortilla', 'cracker', 'semolina', 'bulgur'], safe: /\b(?:(?:gluten|wheat)[- ]free\s+[\p{L}-]+|(?:rice|corn|almond|coconut|chickpea|buckwheat|oat)\s+(?:flour|noodles?|tortillas?|pasta))/giu },
+    soy: { label: 'soy', keywords: ['soy', 'soya', 'tofu', 'edamame', 'tempeh', 'miso', 'tamari'] },
+    fish: { label: 'fish', keywords: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'tilapia', 'trout', 'halibut', 'mackerel', 'worcestershire'] },
+    shellfish: { label: 'shellfish', keywords: ['shrimp', 'prawn', 'crab', 'lobster', 'scallop', 'mussel', 'clam', 'oyster', 'crawfish', 'squid', 'calamari'] },
+    sesame: { label: 'sesame', keywords: ['sesame', 'tahini', 'halva'] },
+    meat: { label: 'meat', keywords: ['chicken', 'beef', 'pork', 'lamb', 'turkey', 'bacon', 'ham', 'sausage', 'steak', 'veal', 'duck', 'prosciutto', 'chorizo', 'pepperoni', 'salami', 'gelatin', 'lard'] },
+    honey: { label: 'honey', keywords: ['honey'] },
+};
+const allergenOptions = ['peanut', 'treeNut', 'dairy', 'egg', 'gluten', 'soy', 'fish', 'shellfish', 'sesame'];
+const dietOptions = {
+    vegetarian: { label: 'Vegetarian', groups: ['meat', 'fish', 'shellfish'] },
+    vegan: { label: 'Vegan', groups: ['meat', 'fish', 'shellfish', 'dairy', 'egg', 'honey'] },
+    pescatarian: { label: 'Pescatarian', groups: ['meat'] },
+    'gluten-free': { label: 'Gluten-free', groups: ['gluten'] },
+    'dairy-free': { label: 'Dairy-free', groups: ['dairy'] },
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const containsWord = (text, word) => new RegExp(`\\b${escapeRegExp(word)}(s|es)?\\b`, 'i').test(text);
+
+// The first keyword of `groupId` found in `text`, or null.
+const findFoodGroupTerm = (text, groupId) => {
+    const { keywords, safe } = foodGroups[groupId];
+    const cleaned = safe ? text.replace(safe, ' ') : text;
+    return keywords.find(keyword => containsWord(cleaned, keyword)) || null;
+};
+
+// Ids this version knows about; an older profile or an imported one may name groups or diets that no longer exist.
+const getKnownAllergies = (profile) => profile.allergies.filter(id => foodGroups[id]);
+const getKnownDiets = (profile) => profile.diets.filter(id => dietOptions[id]);
+
+// Every rule in the profile as { reason, test(text) -> offending term | null }.
+const getDietaryRules = (profile) => [
+    ...getKnownAllergies(profile).map(id => ({ reason: `${foodGroups[id].label} allergy`, test: (text) => findFoodGroupTerm(text, id) })),
+    ...getKnownDiets(profile).map(id => ({ reason: dietOptions[id].label, test: (text) => dietOptions[id].groups.map(groupId => findFoodGroupTerm(text, groupId)).find(Boolean) || null })),
+    ...profile.exclusions.map(term => ({ reason: `no ${term}`, test: (text) => (containsWord(text, singularize(term.toLowerCase())) ? term : null) })),
+];
+
+/**
+ * Checks a recipe against the dietary profile. Returns [{ reason, term, where }] where `where` is
+ * 'ingredients' (the recipe can't be made safely) or 'instructions' (mentioned in a step, e.g. as
+ * an optional garnish, so worth a warning but not a reason to throw the recipe away).
+ */
+const findDietaryConflicts = (recipe, profile) => getDietaryRules(profile).flatMap(rule => {
+    const ingredientTerm = recipe.ingredientsNeeded.map(ing => rule.test(ing.name)).find(Boolean);
+    if (ingredientTerm) return [{ reason: rule.reason, term: ingredientTerm, where: 'ingredients' }];
+    const instructionTerm = rule.test(recipe.instructions.join(' '));
+    return instructionTerm ? [{ reason: rule.reason, term: instructionTerm, where: 'instructions' }] : [];
+});
+
+// Short labels for showing the profile back to the user: "peanuts allergy", "Vegan", "no cilantro", "serves 2".
+const summarizeDietaryProfile = (profile) => [
+    ...getKnownAllergies(profile).map(id => `${foodGroups[id].label} allergy`),
+    ...getKnownDiets(profile).map(id => dietOptions[id].label),
+    ...profile.exclusions.map(term => `no ${term}`),
+    ...(profile.householdSize ? [`serves ${profile.householdSize}`] : []),
+];
+
+// The profile as instructions for the model.
+const describeDietaryProfile = (profile) => {
+    const parts = [];
+    const allergies = getKnownAllergies(profile);
+    const diets = getKnownDiets(profile);
+    if (allergies.length > 0) parts.push(`The user is allergic to ${allergies.map(id => foodGroups[id].label).join(', ')}; never use these or any ingredient that contains them.`);
+    if (diets.length > 0) parts.push(`Every recipe must be ${diets.map(id => dietOptions[id].label.toLowerCase()).join(' and ')}.`);
+    if (profile.exclusions.length > 0) parts.push(`Never use: ${profile.exclusions.join(', ')}.`);
+    if (profile.householdSize) parts.push(`Each recipe should serve ${profile.householdSize} people.`);
+    return parts.join(' ');
+};
+
+// --- Recipe Generation Providers ---
+const MAX_GENERATION_ATTEMPTS = 2;
+
+const recipeSchema = { type: "OBJECT", properties: { recipeName: { type: "STRING" }, description: { type: "STRING" }, servings: { type: "INTEGER" }, ingredientsNeeded: { type: "ARRAY", minItems: 1, items: { type: "OBJECT", properties: { name: { type: "STRING" }, quantity: { type: "NUMBER" }, unit: { type: "STRING" } }, required: ["name", "quantity", "unit"] } }, instructions: { type: "ARRAY", minItems: 1, items: { type: "STRING" } } }, required: ["recipeName", "description", "servings", "ingredientsNeeded", "instructions"] };
+const recipeListSchema = { type: "ARRAY", minItems: 1, items: recipeSchema };
+
+const generationError = (message, code) => Object.assign(new Error(message), { code });
+
+const getRecipeProviderConfig = () => {
+    // @ts-ignore
+    const env = typeof import.meta !== 'undefined' && typeof import.meta.env !== 'undefined' ? import.meta.env : {};
+    const config = {
+        provider: env.VITE_RECIPE_PROVIDER,
+        gemini: { apiKey: env.VITE_GEMINI_API_KEY, model: env.VITE_GEMINI_MODEL || 'gemini-2.0-flash' },
+        openai: { baseUrl: env.VITE_OPENAI_BASE_URL || 'https://api.openai.com/v1', apiKey: env.VITE_OPENAI_API_KEY, model: env.VITE_OPENAI_MODEL || 'gpt-4o-mini' },
+    };
+    if (!config.provider) config.provider = config.gemini.apiKey ? 'gemini' : env.VITE_OPENAI_BASE_URL ? 'openai' : null;
+    return config;
+};
+
+// Gemini schemas use upper-case type names; JSON Schema (OpenAI and most local servers) uses lower case.
+const toJsonSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, key === 'type' ? value.toLowerCase() : toJsonSchema(value)]));
+};
+
+// Turns a failed HTTP response into a message that says what to do about it.
+const describeHttpFailure = async (response, providerName) => {
+    let detail = '';
+    try {
+        const body = await response.json();
+        detail = body.error?.message || body.message || '';
+    } catch { /* body wasn't JSON */ }
+    const suffix = detail ? ` (${detail})` : '';
+    if (response.status === 401 || response.status === 403) return `${providerName} rejected the API key. Check your recipe provider key configuration${suffix}.`;
+    if (response.status === 404) return `${providerName} couldn't find the requested model or endpoint${suffix}.`;
+    if (response.status === 429) return `${providerName} is rate limiting requests. Wait a minute and try again${suffix}.`;
+    if (response.status >= 500) return `${providerName} is having trouble right now. Try again shortly${suffix}.`;
+    return `${providerName} couldn't handle the request${suffix}.`;
+};
+
+const requestProvider = async (providerName, url, options) => {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        throw generationError(`Couldn't reach ${providerName}. Check your connection${providerName === 'the local model server' ? ' and that the server is running' : ''}.`, 'network');
+    }
+    if (!response.ok) throw generationError(await describeHttpFailure(response, providerName), 'http');
+    return response;
+};
+
+// Hands each `data:` payload of a server-sent event stream to `onData` as parsed JSON.
+const readEventStream = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const handleLine = (line) => {
+        const data = line.replace(/^data:\s?/, '').trim();
+        if (!line.startsWith('data:') || !data || data === '[DONE]') return;
+        let payload;
+        try { payload = JSON.parse(data); } catch { throw generationError('The response stream was garbled.', 'malformed'); }
+        onData(payload);
+    };
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+    } catch (err) {
+        reader.cancel().catch(() => {});
+        throw err;
+    }
+};
+
+const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(new DOMException('Generation was cancelled.', 'AbortError')); return; }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(new DOMException('Generation was cancelled.', 'AbortError')); }, { once: true });
+});
+
+/**
+ * Recipe generation backends. Each provider takes { prompt, schema, ingredients, count, exclude, signal, onText }
+ * and resolves to the raw JSON text of the model's answer, passing the text received so far to `onText` as it
+ * streams in; parsing and validation happen in generateRecipes.
+ */
+const createGeminiProvider = ({ apiKey, model }) => ({
+    name: 'Gemini',
+    generate: async ({ prompt, schema, signal, onText }) => {
+        if (!apiKey) throw generationError('Gemini needs an API key. Set VITE_GEMINI_API_KEY.', 'config');
+        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }], generationConfig: { responseMimeType: "application/json", responseSchema: schema } };
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+        const response = await requestProvider('Gemini', apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload), signal });
+        let text = '';
+        let hasCandidate = false;
+        await readEventStream(response, (chunk) => {
+            if (chunk.promptFeedback?.blockReason) throw generationError(`Gemini blocked the request (${chunk.promptFeedback.blockReason}). Try different preferences.`, 'blocked');
+            const candidate = chunk.candidates?.[0];
+            if (!candidate) return;
+            hasCandidate = true;
+            if (candidate.finishReason === 'SAFETY') throw generationError('Gemini stopped for safety reasons. Try different preferences.', 'blocked');
+            text += candidate.content?.parts?.map(part => part.text || '').join('') || '';
+            onText?.(text);
+        });
+        if (!hasCandidate) throw generationError("No recipes were generated. Try adding more ingredients.", 'empty');
+        if (!text) throw generationError('Gemini returned an empty answer.', 'malformed');
+        return text;
+    },
+});
+
+const createOpenAiCompatibleProvider = ({ baseUrl, apiKey, model }) => {
+    const isLocal = /localhost|127\.0\.0\.1|0\.0\.0\.0/.test(baseUrl);
+    const providerName = isLocal ? 'the local model server' : 'The model API';
+    return {
+        name: isLocal ? 'Local model' : 'OpenAI-compatible',
+        generate: async ({ prompt, schema, signal, onText }) => {
+            // Chat-completion JSON modes want an object at the top level, so the list is wrapped.
+            const wrappedSchema = { type: 'object', properties: { recipes: toJsonSchema(schema) }, required: ['recipes'] };
+            const payload = {
+                model,
+                messages: [
+                    { role: 'system', content: `Respond only with JSON matching this JSON Schema: ${JSON.stringify(wrappedSchema)}` },
+                    { role: 'user', content: prompt },
+                ],
+                response_format: { type: 'json_schema', json_schema: { name: 'recipes', schema: wrappedSchema } },
+                stream: true,
+            };
+            const headers = { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+            const response = await requestProvider(providerName, `${baseUrl.replace(/\/$/, '')}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(payload), signal });
+            let text = '';
+            // Some local servers ignore `stream` and answer in one piece.
+            if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+                const result = await response.json();
+                text = result.choices?.[0]?.message?.content || '';
+            } else {
+                await readEventStream(response, (chunk) => {
+                    if (chunk.error) throw generationError(`${providerName} stopped partway through (${chunk.error.message || 'unknown error'}).`, 'http');
+                    text += chunk.choices?.[0]?.delta?.content || '';
+                    onText?.(text);
+                });
+            }
+            if (!text) throw generationError(`${providerName} returned an empty answer.`, 'malformed');
+            return text;
+        },
+    };
+};
+
+// Builds simple, predictable recipes from whatever is in the pantry; no network involved. Recipes arrive one
+// at a time with a short pause, like a streamed answer, and names in `exclude` are skipped.
+const createMockProvider = () => ({
+    name: 'Offline mock',
+    generate: async ({ ingredients = [], count = 3, exclude = [], signal, onText }) => {
+        const pantry = [...ingredients].sort((a, b) => a.name.localeCompare(b.name));
+        const styles = ['Skillet', 'Soup', 'Bake', 'Salad', 'Stir-Fry'];
+        const candidates = Array.from({ length: Math.max(pantry.length, 1) * styles.length }, (_, index) => {
+            const used = pantry.length > 0 ? [0, 1, 2].map(offset => pantry[(index + offset) % pantry.length]).filter((item, i, all) => all.indexOf(item) === i) : [];
+            const mainName = used[0]?.name || 'Pantry';
+            return {
+                recipeName: `${mainName} ${styles[index % styles.length]}`,
+                description: `A simple ${styles[index % styles.length].toLowerCase()} using ${used.map(i => i.name).join(', ') || 'what you have'}.`,
+                servings: 2,
+                ingredientsNeeded: used.map(item => ({ name: item.name, quantity: Number(((parseFloat(item.quantity) || 1) / 2).toFixed(2)), unit: item.unit || '' })),
+                instructions: ['Prepare all the ingredients.', 'Combine everything in a pan and cook over medium heat for 10 minutes.', 'Season to taste and serve.'],
+            };
+        });
+        const excluded = new Set(exclude.map(name => name.trim().toLowerCase()));
+        const recipes = candidates.filter(recipe => !excluded.has(recipe.recipeName.toLowerCase())).slice(0, count);
+        for (let i = 1; i <= recipes.length; i++) {
+            await waitFor(300, signal);
+            onText?.(`[${recipes.slice(0, i).map(recipe => JSON.stringify(recipe)).join(',')}`);
+        }
+        return JSON.stringify(recipes);
+    },
+});
+
+const getRecipeProvider = (config = getRecipeProviderConfig()) => {
+    if (config.provider === 'gemini') return createGeminiProvider(config.gemini);
+    if (config.provider === 'openai') return createOpenAiCompatibleProvider(config.openai);
+    if (config.provider === 'mock') return createMockProvider();
+    throw generationError('No recipe provider is configured. Set VITE_GEMINI_API_KEY, VITE_OPENAI_BASE_URL, or VITE_RECIPE_PROVIDER=mock.', 'config');
+};
+
+// Checks `value` against a Gemini-style schema and returns a list of problems (empty when valid).
+const validateAgainstSchema = (value, schema, path = 'response') => {
+    const type = schema.type.toUpperCase();
+    if (type === 'ARRAY') {
+        if (!Array.isArray(value)) return [`${path} should be a list`];
+        if (schema.minItems && value.length < schema.minItems) return [`${path} should have at least ${schema.minItems} item(s)`];
+        return value.flatMap((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    }
+    if (type === 'OBJECT') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} should be an object`];
+        const missing = (schema.required || []).filter(key => value[key] === undefined || value[key] === null).map(key => `${path}.${key} is missing`);
+        const invalid = Object.entries(schema.properties || {}).filter(([key]) => value[key] !== undefined && value[key] !== null).flatMap(([key, propertySchema]) => validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        return [...missing, ...invalid];
+    }
+    if (type === 'STRING') return typeof value === 'string' ? [] : [`${path} should be text`];
+    if (type === 'NUMBER') return typeof value === 'number' && Number.isFinite(value) ? [] : [`${path} should be a number`];
+    if (type === 'INTEGER') return Number.isInteger(value) ? [] : [`${path} should be a whole number`];
+    if (type === 'BOOLEAN') return typeof value === 'boolean' ? [] : [`${path} should be true or false`];
+    return [];
+};
+
+// Complete items of the top-level list in a JSON answer that is still streaming in: '[{...}, {..' -> [{...}].
+const extractStreamedItems = (text) => {
+    const start = text.indexOf('[');
+    if (start === -1) return [];
+    const items = [];
+    let depth = 0;
+    let itemStart = -1;
+    let inString = false;
+    let escaped = false;
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) itemStart = i;
+            depth++;
+        } else if (char === '}' || char === ']') {
+            if (depth === 0) break;
+            depth--;
+            if (depth === 0) {
+                try { items.push(JSON.parse(text.slice(itemStart, i + 1))); } catch { break; }
+            }
+        }
+    }
+    return items;
+};
+
+const parseRecipeResponse = (text, schema) => {
+    let data;
+    try {
+        // Some models wrap JSON in a markdown fence despite being asked not to.
+        data = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, ''));
+    } catch {
+        throw generationError("The response wasn't valid JSON.", 'malformed');
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.recipes)) data = data.recipes;
+    const problems = validateAgainstSchema(data, schema);
+    if (problems.length > 0) throw generationError(`The response didn't match the recipe format: ${problems.slice(0, 3).join('; ')}.`, 'malformed');
+    return data;
+};
+
+/**
+ * Asks `provider` for recipes and validates them against `schema`, retrying with the validation
+ * problems spelled out when the model returns something malformed. Each valid recipe is passed to
+ * `request.onRecipe` as soon as it has streamed in; once any have been shown, a malformed ending
+ * keeps those rather than starting over. Resolves to { recipes, isComplete }, where `isComplete` is
+ * false when the answer broke off after the recipes that streamed in.
+ */
+const generateRecipes = async (provider, request) => {
+    let lastError;
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+        const prompt = attempt === 1 ? request.prompt : `${request.prompt}\n\nYour previous answer was rejected: ${lastError.message} Respond with JSON that matches the schema exactly.`;
+        const streamed = [];
+        let seen = 0;
+        const onText = (text) => {
+            const complete = extractStreamedItems(text);
+            complete.slice(seen).forEach(item => {
+                if (validateAgainstSchema(item, request.schema.items).length > 0) return;
+                streamed.push(item);
+                request.onRecipe?.(item);
+            });
+            seen = Math.max(seen, complete.length);
+        };
+        try {
+            const recipes = parseRecipeResponse(await provider.generate({ ...request, prompt, onText }), request.schema);
+            // Whatever didn't stream in (a provider that answers in one piece, or the list's last item) is announced now.
+            recipes.slice(seen).forEach(recipe => request.onRecipe?.(recipe));
+            return { recipes, isComplete: true };
+        } catch (err) {
+            if (err.code !== 'malformed') throw err;
+            if (streamed.length > 0) return { recipes: streamed, isComplete: false };
+            lastError = err;
+        }
+    }
+    throw generationError(`${provider.name} kept returning recipes in the wrong format. ${lastError.message}`, 'malformed');
+};
+
+// --- Data Repositories ---
+/**
+ * Every storage backend exposes the same surface over the user's synced collections:
+ *   subscribe(name, onData, onError) -> unsubscribe   onData gets [{ ...data, id }]
+ *   subscribeDoc(name, id, onData, onError)            onData gets { ...data, id } or null
+ *   get(name, id) -> { ...data, id } | null, list(name) -> [{ ...data, id }]
+ *   newId(name)                                        id for a document created in a batch
+ *   batch()                                            chainable set/update/delete(name, id, data) + commit()
+ *   add(name, data) -> id, set(name, id, data), update(name, id, data), remove(name, id)
+ *   dispose()                                          detaches anything the backend itself listens to
+ * update() keys may be dotted paths ('members.abc') and a value of DELETE_FIELD removes that field.
+ */
+const DELETE_FIELD = Object.freeze({ deleteField: true });
+
+const createFirestoreRepository = (db, rootPath) => {
+    const collectionRef = (name) => collection(db, `${rootPath}/${name}`);
+    const docRef = (name, id) => doc(db, `${rootPath}/${name}`, id);
+    const toUpdate = (data) => Object.fromEntries(Object.entries(data).map(([path, value]) => [path, value === DELETE_FIELD ? deleteField() : value]));
+    return {
+        kind: 'firestore',
+        subscribe: (name, onData, onError) => onSnapshot(collectionRef(name), (snapshot) => onData(snapshot.docs.map(d => ({ ...d.data(), id: d.id }))), onError),
+        subscribeDoc: (name, id, onData, onError) => onSnapshot(docRef(name, id), (snapshot) => onData(snapshot.exists() ? { ...snapshot.data(), id: snapshot.id } : null), onError),
+        get: async (name, id) => { const snapshot = await getDoc(docRef(name, id)); return snapshot.exists() ? { ...snapshot.data(), id: snapshot.id } : null; },
+        list: async (name) => (await getDocs(collectionRef(name))).docs.map(d => ({ ...d.data(), id: d.id })),
+        newId: (name) => doc(collectionRef(name)).id,
+        batch: () => {
+            const batch = writeBatch(db);
+            const wrapper = {
+                set: (name, id, data) => { batch.set(docRef(name, id), data); return wrapper; },
+                update: (name, id, data) => { batch.update(docRef(name, id), toUpdate(data)); return wrapper; },
+                delete: (name, id) => { batch.delete(docRef(name, id)); return wrapper; },
+                commit: () => batch.commit(),
+            };
+            return wrapper;
+        },
+        add: async (name, data) => (await addDoc(collectionRef(name), data)).id,
+        set: (name, id, data) => setDoc(docRef(name, id), data),
+        update: (name, id, data) => updateDoc(docRef(name, id), toUpdate(data)),
+        remove: (name, id) => deleteDoc(docRef(name, id)),
+        dispose: () => {},
+    };
+};
+
+/**
+ * Keeps each collection as a JSON object of id -> data under `${namespace}/${name}` in a
+ * Storage-like object (localStorage by default; anything with getItem/setItem works).
+ * Batches are applied all-or-nothing and listeners fire after each commit.
+ */
+const createLocalRepository = (namespace, storage = window.localStorage) => {
+    const listeners = new Map();
+    const storageKey = (name) => `${namespace}/${name}`;
+    const read = (name) => {
+        try { return JSON.parse(storage.getItem(storageKey(name))) || {}; } catch { return {}; }
+    };
+    const toList = (docs) => Object.entries(docs).map(([id, data]) => ({ ...data, id }));
+    const notify = (name) => (listeners.get(name) || new Set()).forEach(listener => listener(toList(read(name))));
+    const newId = () => (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    // Applies update() data the way Firestore does: dotted keys reach into nested objects and DELETE_FIELD removes.
+    const applyUpdate = (current, data) => {
+        const updated = JSON.parse(JSON.stringify(current));
+        Object.entries(data).forEach(([path, value]) => {
+            if (value === undefined) return;
+            const keys = path.split('.');
+            const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {}), updated);
+            const field = keys[keys.length - 1];
+            if (value === DELETE_FIELD) delete parent[field];
+            else parent[field] = JSON.parse(JSON.stringify(value));
+        });
+        return updated;
+    };
+
+    const applyOperations = (operations) => {
+        const collections = new Map();
+        const load = (name) => { if (!collections.has(name)) collections.set(name, read(name)); return collections.get(name); };
+        operations.forEach(({ type, name, id, data }) => {
+            const docs = load(name);
+            if (type === 'set') docs[id] = JSON.parse(JSON.stringify(data));
+            else if (type === 'delete') delete docs[id];
+            else if (!docs[id]) throw new Error(`No document to update: ${name}/${id}`);
+            else docs[id] = applyUpdate(docs[id], data);
+        });
+        collections.forEach((docs, name) => storage.setItem(storageKey(name), JSON.stringify(docs)));
+        collections.forEach((_, name) => notify(name));
+    };
+
+    // Other tabs write to the same storage; pass their changes on to our listeners.
+    const handleStorageEvent = (event) => {
+        if (!event.key?.startsWith(`${namespace}/`)) return;
+        notify(event.key.slice(namespace.length + 1));
+    };
+    const watchesOtherTabs = typeof window !== 'undefined' && storage === window.localStorage;
+    if (watchesOtherTabs) window.addEventListener('storage', handleStorageEvent);
+
+    const repository = {
+        kind: 'local',
+        subscribe: (name, onData, onError) => {
+            const listener = (data) => onData(data);
+            if (!listeners.has(name)) listeners.set(name, new Set());
+            listeners.get(name).add(listener);
+            // Deliver the initial state asynchronously, like a snapshot listener would.
+            setTimeout(() => {
+                try { if (listeners.get(name).has(listener)) listener(toList(read(name))); } catch (err) { onError?.(err); }
+            }, 0);
+            return () => listeners.get(name).delete(listener);
+        },
+        subscribeDoc: (name, id, onData, onError) => repository.subscribe(name, (docs) => onData(docs.find(d => d.id === id) || null), onError),
+        get: async (name, id) => { const data = read(name)[id]; return data ? { ...data, id } : null; },
+        list: async (name) => toList(read(name)),
+        newId,
+        batch: () => {
+            const operations = [];
+            const wrapper = {
+                set: (name, id, data) => { operations.push({ type: 'set', name, id, data }); return wrapper; },
+                update: (name, id, data) => { operations.push({ type: 'update', name, id, data }); return wrapper; },
+                delete: (name, id) => { operations.push({ type: 'delete', name, id }); return wrapper; },
+                commit: async () => applyOperations(operations),
+            };
+            return wrapper;
+        },
+        add: async (name, data) => { const id = newId(); applyOperations([{ type: 'set', name, id, data }]); return id; },
+        set: async (name, id, data) => applyOperations([{ type: 'set', name, id, data }]),
+        update: async (name, id, data) => applyOperations([{ type: 'update', name, id, data }]),
+        remove: async (name, id) => applyOperations([{ type: 'delete', name, id }]),
+        dispose: () => {
+            if (watchesOtherTabs) window.removeEventListener('storage', handleStorageEvent);
+        },
+    };
+    return repository;
+};
+
+// --- Households ---
+// Invite codes skip look-alike characters (0/O, 1/I/L) so they can be read out loud.
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = (length = 6) => {
+    const values = crypto.getRandomValues(new Uint32Array(length));
+    return Array.from(values, value => INVITE_CODE_ALPHABET[value % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+const getMemberName = (user) => (user.email ? user.email.split('@')[0] : 'Guest');
+
+/**
+ * Moves every document in `names` from one repository to another, e.g. a personal pantry into a
+ * household. Everything is copied before anything is deleted, so a failure part-way loses nothing.
+ * Returns the number of documents moved.
+ */
+const moveCollections = async (from, to, names, chunkSize = 200) => {
+    const docs = (await Promise.all(names.map(async name => (await from.list(name)).map(data => ({ name, data }))))).flat();
+    const inChunks = async (apply) => {
+        for (let i = 0; i < docs.length; i += chunkSize) await apply(docs.slice(i, i + chunkSize)).commit();
+    };
+    await inChunks(chunk => chunk.reduce((batch, { name, data }) => batch.set(name, data.id, withoutId(data)), to.batch()));
+    await inChunks(chunk => chunk.reduce((batch, { name, data }) => batch.delete(name, data.id), from.batch()));
+    return docs.length;
+};
+
+// --- Backup & Restore ---
+const BACKUP_FORMAT = 'fridge-forager-backup';
+const BACKUP_VERSION = 1;
+const backupCollectionLabels = { ingredients: 'Pantry', shoppingList: 'Shopping list', favoritedRecipes: 'Saved recipes', recentlyCooked: 'Cooking history' };
+const csvColumns = { ingredients: ['name', 'quantity', 'unit', 'bestBy'], shoppingList: ['name', 'quantity', 'unit', 'aisle', 'checked'] };
+
+const createBackup = (data) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    collections: Object.fromEntries(Object.keys(backupCollectionLabels).map(name => [name, data[name] || []])),
+});
+
+const escapeCsvValue = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (name, docs) => {
+    const columns = csvColumns[name];
+    const rows = docs.map(doc => columns.map(column => (column === 'bestBy' ? (doc.bestBy ? toDateInputValue(doc.bestBy) : '') : doc[column])));
+    return [columns, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\n');
+};
+
+// Splits CSV text into rows of cells, honouring quoted cells that contain commas, quotes or line breaks.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [], cell = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === ',') { row.push(cell); cell = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, cell]); row = []; cell = '';
+        } else cell += char;
+    }
+    if (cell || row.length > 0) rows.push([...row, cell]);
+    return rows.filter(r => r.some(value => value.trim()));
+};
+
+// Fields each collection's documents may carry; anything else in a hand-edited file is left out of the import.
+const backupDocFields = {
+    ingredients: ['id', 'name', 'quantity', 'unit', 'bestBy', 'category', 'location', 'leftover', 'purchasePrice', 'addedBy', 'createdAt'],
+    shoppingList: ['id', 'name', 'quantity', 'unit', 'aisle', 'checked', 'addedBy', 'createdAt'],
+    favoritedRecipes: [...recipeContentFields, 'id', 'mealType', 'cuisines', 'source', 'original', 'editedAt', 'addedBy', 'createdAt'],
+    recentlyCooked: [...recipeContentFields, 'id', 'mealType', 'cuisines', 'servingsCooked', 'cookedBy', 'cookedAt', 'cost', 'rating', 'notes', 'pastCooks'],
+};
+const pickFields = (doc, fields) => Object.fromEntries(fields.filter(field => doc[field] !== undefined).map(field => [field, doc[field]]));
+
+// Matching and cooking need every recipe ingredient to have a name and an amount.
+const sanitizeBackupRecipeIngredient = (ingredient) => {
+    if (!ingredient || typeof ingredient !== 'object' || typeof ingredient.name !== 'string' || !ingredient.name.trim()) return null;
+    const quantity = typeof ingredient.quantity === 'number' ? ingredient.quantity : parseFloat(ingredient.quantity);
+    return Number.isFinite(quantity) && quantity >= 0 ? { name: ingredient.name.trim(), quantity, unit: String(ingredient.unit ?? '').trim() } : null;
+};
+const sanitizeBackupRecipe = (doc, fields) => {
+    if (typeof doc.recipeName !== 'string' || !doc.recipeName.trim() || !Array.isArray(doc.ingredientsNeeded) || !Array.isArray(doc.instructions)) return null;
+    const ingredientsNeeded = doc.ingredientsNeeded.map(sanitizeBackupRecipeIngredient);
+    if (ingredientsNeeded.length === 0 || ingredientsNeeded.includes(null) || !doc.instructions.every(step => typeof step === 'string')) return null;
+    const recipe = { ...pickFields(doc, fields), recipeName: doc.recipeName.trim(), ingredientsNeeded };
+    // The pre-edit version of a saved recipe is itself a recipe; drop it rather than keep one that can't be restored.
+    if ('original' in recipe) recipe.original = recipe.original && typeof recipe.original === 'object' ? sanitizeBackupRecipe(recipe.original, recipeContentFields) : null;
+    return recipe;
+};
+
+// Returns the document in the shape the app stores, or null when it can't be used.
+const sanitizeBackupDoc = (name, doc) => {
+    if (!doc || typeof doc !== 'object') return null;
+    if (name === 'favoritedRecipes' || name === 'recentlyCooked') return sanitizeBackupRecipe(doc, backupDocFields[name]);
+    if (typeof doc.name !== 'string' || !doc.name.trim()) return null;
+    const quantity = typeof doc.quantity === 'number' ? doc.quantity : parseFloat(doc.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0) return null;
+    const base = { ...pickFields(doc, backupDocFields[name]), name: doc.name.trim(), quantity, unit: String(doc.unit ?? '').trim(), createdAt: doc.createdAt || Date.now() };
+    if (name === 'shoppingList') return toShoppingItem(base);
+    return { ...base, bestBy: Number.isFinite(doc.bestBy) ? doc.bestBy : null };
+};
+
+const readCsvBackup = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('name') || !columns.includes('quantity')) throw new Error("That CSV needs a header row with at least name and quantity columns.");
+    const name = columns.includes('aisle') || columns.includes('checked') ? 'shoppingList' : 'ingredients';
+    const docs = rows.map(row => {
+        const doc = Object.fromEntries(columns.map((column, i) => [column, (row[i] ?? '').trim()]));
+        if (name === 'ingredients') return { ...doc, bestBy: doc.bestBy ? fromDateInputValue(doc.bestBy) : null };
+        return { ...doc, checked: doc.checked?.toLowerCase() === 'true' };
+    });
+    return { [name]: docs };
+};
+
+/**
+ * Parses an exported JSON backup or a pantry/shopping list CSV into { collections, skipped }. Throws with a
+ * message fit for the user when the file can't be imported at all; individual bad rows are skipped and counted.
+ */
+const readBackupFile = (text, fileName = '') => {
+    let rawCollections;
+    if (/\.csv$/i.test(fileName)) rawCollections = readCsvBackup(text);
+    else {
+        let backup;
+        try { backup = JSON.parse(text); } catch { throw new Error("That file isn't valid JSON."); }
+        if (backup?.format !== BACKUP_FORMAT || !backup.collections || typeof backup.collections !== 'object' || Array.isArray(backup.collections)) throw new Error("That file isn't a Fridge Forager backup.");
+        if (!(backup.version >= 1 && backup.version <= BACKUP_VERSION)) throw new Error(`That backup was made by a newer version of the app (format ${backup.version}).`);
+        rawCollections = backup.collections;
+    }
+    let skipped = 0;
+    const collections = {};
+    Object.keys(backupCollectionLabels).forEach(name => {
+        if (!Array.isArray(rawCollections[name])) return;
+        const docs = rawCollections[name].map(doc => sanitizeBackupDoc(name, doc));
+        skipped += docs.filter(doc => !doc).length;
+        collections[name] = docs.filter(Boolean);
+    });
+    if (Object.keys(collections).length === 0) throw new Error("That file doesn't contain anything to import.");
+    return { collections, skipped };
+};
+
+const getBackupMatchKey = (name, doc) => (name === 'favoritedRecipes' || name === 'recentlyCooked' ? doc.recipeName.trim().toLowerCase() : normalizeIngredientName(doc.name));
+
+/**
+ * Works out the writes an import makes, per collection: { adds, updates, deletes }. Merging overwrites documents
+ * whose ingredient (or recipe) name matches and adds the rest; replacing empties each imported collection first.
+ * Collections missing from the file are left alone in both modes.
+ */
+const planImport = (current, collections, mode) => Object.fromEntries(Object.entries(collections).map(([name, docs]) => {
+    const existing = current[name] || [];
+    const existingIds = new Set(existing.map(doc => doc.id));
+    const plan = { adds: [], updates: [], deletes: [] };
+    if (mode === 'replace') {
+        const keptIds = new Set(docs.map(doc => doc.id).filter(id => existingIds.has(id)));
+        plan.deletes = existing.filter(doc => !keptIds.has(doc.id)).map(doc => doc.id);
+        docs.forEach(doc => (keptIds.has(doc.id) ? plan.updates : plan.adds).push({ id: doc.id || null, data: withoutId(doc) }));
+        return [name, plan];
+    }
+    const unmatched = [...existing];
+    docs.forEach(doc => {
+        const key = getBackupMatchKey(name, doc);
+        const match = unmatched.find(item => item.id === doc.id) || unmatched.find(item => getBackupMatchKey(name, item) === key);
+        if (match) {
+            unmatched.splice(unmatched.indexOf(match), 1);
+            plan.updates.push({ id: match.id, data: { ...withoutId(match), ...withoutId(doc) } });
+        } else plan.adds.push({ id: doc.id && !existingIds.has(doc.id) ? doc.id : null, data: withoutId(doc) });
+    });
+    return [name, plan];
+}));
+
+// Commits an import plan in chunks so large backups stay under Firestore's per-batch write limit.
+const applyImportPlan = async (repo, plan, chunkSize = 200) => {
+    const writes = Object.entries(plan).flatMap(([name, { adds, updates, deletes }]) => [
+        ...deletes.map(id => batch => batch.delete(name, id)),
+        ...[...updates, ...adds].map(({ id, data }) => batch => batch.set(name, id || repo.newId(name), data)),
+    ]);
+    for (let i = 0; i < writes.length; i += chunkSize) {
+        await writes.slice(i, i + chunkSize).reduce((batch, write) => write(batch), repo.batch()).commit();
+    }
+    return writes.length;
+};
+
+const downloadFile = (fileName, contents, type) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    Object.assign(document.createElement('a'), { href: url, download: fileName }).click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Main App Component ---
+export default function App() {
+    // Firebase State
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [user, setUser] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [authView, setAuthView] = useState('login');
+
+    // App State
+    const [ingredients, setIngredients] = useState([]);
+    const [recipes, setRecipes] = useState([]);
+    const [selectedRecipe, setSelectedRecipe] = useState(null);
+    const [generation, setGeneration] = useState(null);
+    const generationRef = useRef(null);
+    const [error, setError] = useState(null);
+    const [preferences, setPreferences] = useState('');
+    const [mealType, setMealType] = useState('any');
+    const [isCookingMode, setIsCookingMode] = useState(false);
+    const [recentlyCooked, setRecentlyCooked] = useState([]);
+    const [favoritedRecipes, setFavoritedRecipes] = useState([]);
+    const [shoppingList, setShoppingList] = useState([]);
+    const [isPantryCollapsed, setIsPantryCollapsed] = useState(true);
+    const [isMoveModalOpen, setIsMoveModalOpen] = useState(false);
+    const [selectedTags, setSelectedTags] = useState([]);
+    const [maxMissingIngredients, setMaxMissingIngredients] = useState(0);
+    const [useLeftovers, setUseLeftovers] = useState(true);
+    const [unitSystem, setUnitSystem] = useState(getDefaultUnitSystem);
+    const [ingredientMappings, setIngredientMappings] = useState([]);
+    const [pendingMatch, setPendingMatch] = useState(null);
+    const [pantryLedger, setPantryLedger] = useState([]);
+    const pantryLedgerRef = useRef(pantryLedger);
+    pantryLedgerRef.current = pantryLedger;
+    const [deductionPreview, setDeductionPreview] = useState(null);
+    const [servingsOverride, setServingsOverride] = useState({ recipe: null, servings: null });
+    const [mealPlan, setMealPlan] = useState([]);
+    const [staples, setStaples] = useState([]);
+    const [priceHistory, setPriceHistory] = useState([]);
+    const [isBudgetFriendly, setIsBudgetFriendly] = useState(false);
+    const [suggestionCount, setSuggestionCount] = useState(3);
+    const [dietaryProfile, setDietaryProfile] = useState(EMPTY_DIETARY_PROFILE);
+    const [isDietaryModalOpen, setIsDietaryModalOpen] = useState(false);
+    const [householdId, setHouseholdId] = useState(undefined);
+    const [household, setHousehold] = useState(undefined);
+    const [isHouseholdModalOpen, setIsHouseholdModalOpen] = useState(false);
+    const [isBackupModalOpen, setIsBackupModalOpen] = useState(false);
+    const [isRecipeImportOpen, setIsRecipeImportOpen] = useState(false);
+    const [sharingRecipe, setSharingRecipe] = useState(null);
+    const [editingRecipe, setEditingRecipe] = useState(null);
+
+    const appId = getAppId();
+
+    // --- Firebase Initialization and Auth Listener ---
+    useEffect(() => {
+        if (getStorageBackend() === 'local') {
+            setUser(LOCAL_USER);
+            setIsAuthReady(true);
+            return;
+        }
+        const firebaseConfig = getFirebaseConfig();
+        const isPreview = typeof __app_id !== 'undefined';
+
+        if (firebaseConfig && !db) {
+            try {
+                const app = initializeApp(firebaseConfig);
+                const firestore = getFirestore(app);
+                const authInstance = getAuth(app);
+                setDb(firestore);
+                setAuth(authInstance);
+
+                if (isPreview) {
+                    // For preview, sign in anonymously to get a real user session
+                    signInAnonymously(authInstance).catch(err => {
+                        console.error("Preview anonymous sign-in failed:", err);
+                        setError("Could not create a preview session.");
+                    });
+                }
+
+                onAuthStateChanged(authInstance, (user) => {
+                    setUser(user);
+                    setIsAuthReady(true);
+                });
+            } catch (e) {
+                console.error("Firebase initialization failed:", e);
+                setError("Could not connect to the database.");
+                setIsAuthReady(true);
+            }
+        } else if (!firebaseConfig) {
+             setError("Firebase is not configured. Data cannot be saved.");
+             setIsAuthReady(true);
+        }
+    }, [db]);
+
+    // --- Data Repository & Sync ---
+    const personalRepo = useMemo(() => {
+        if (!user) return null;
+        if (user.isLocal) return createLocalRepository(`fridge-forager/${appId}/${user.uid}`);
+        return db ? createFirestoreRepository(db, `artifacts/${appId}/users/${user.uid}`) : null;
+    }, [user, db, appId]);
+    useEffect(() => () => personalRepo?.dispose(), [personalRepo]);
+    // Households and their invite codes live beside the per-user data, so accounts can find each other's.
+    const appRepo = useMemo(() => (db && user && !user.isLocal ? createFirestoreRepository(db, `artifacts/${appId}`) : null), [db, user, appId]);
+
+    // Which household (if any) this account belongs to. undefined while we're still finding out.
+    useEffect(() => {
+        setHouseholdId(undefined);
+        if (!personalRepo) return;
+        if (personalRepo.kind !== 'firestore') { setHouseholdId(null); return; }
+        return personalRepo.subscribeDoc('profile', 'household', (data) => setHouseholdId(data?.householdId || null), (err) => {
+            console.error("Error loading household membership:", err);
+            setHouseholdId(null);
+        });
+    }, [personalRepo]);
+    useEffect(() => {
+        setHousehold(householdId ? undefined : null);
+        if (!appRepo || !householdId) return;
+        return appRepo.subscribeDoc('households', householdId, setHousehold, (err) => {
+            console.error("Error loading household:", err);
+            setError("Could not load your household.");
+            setHousehold(null);
+        });
+    }, [appRepo, householdId]);
+
+    // The dietary profile and last search belong to the person, not the household they share a pantry with.
+    useEffect(() => {
+        setDietaryProfile(EMPTY_DIETARY_PROFILE);
+        if (!personalRepo) return;
+        return personalRepo.subscribeDoc('profile', 'dietary', (data) => setDietaryProfile({ ...EMPTY_DIETARY_PROFILE, ...withoutId(data || {}) }), (err) => {
+            console.error("Error loading dietary profile:", err);
+        });
+    }, [personalRepo]);
+    useEffect(() => {
+        if (!personalRepo) return;
+        personalRepo.get('profile', 'search').then(search => {
+            if (!search) return;
+            setSelectedTags(search.tags || []);
+            setPreferences(search.preferences || '');
+            setMealType(search.mealType || 'any');
+            setMaxMissingIngredients(search.maxMissingIngredients ?? 0);
+            setUseLeftovers(search.useLeftovers ?? true);
+            setIsBudgetFriendly(search.budgetFriendly ?? false);
+            setSuggestionCount(search.count ?? 3);
+        }).catch(err => console.error("Error loading saved search:", err));
+        personalRepo.get('profile', 'display').then(display => {
+            if (display?.unitSystem) setUnitSystem(display.unitSystem);
+        }).catch(err => console.error("Error loading display settings:", err));
+    }, [personalRepo]);
+
+    // Someone removed from a household (or whose household is gone) falls back to their personal pantry.
+    const isHouseholdMember = Boolean(household && user && household.members?.[user.uid]);
+    const isHouseholdLoading = householdId === undefined || household === undefined;
+    const repo = useMemo(() => {
+        if (isHouseholdLoading) return null;
+        return isHouseholdMember ? createFirestoreRepository(db, `artifacts/${appId}/households/${householdId}`) : personalRepo;
+    }, [isHouseholdLoading, isHouseholdMember, householdId, personalRepo, db, appId]);
+    // Stamped on pantry, shopping list, cooking and ledger records so household members can see who did what.
+    const memberStamp = isHouseholdMember ? { uid: user.uid, name: getMemberName(user) } : null;
+
+    const collectionsToSync = { ingredients: setIngredients, recentlyCooked: setRecentlyCooked, favoritedRecipes: setFavoritedRecipes, shoppingList: (items) => setShoppingList(items.map(toShoppingItem)), ingredientMappings: setIngredientMappings, pantryLedger: setPantryLedger, mealPlan: setMealPlan, staples: setStaples, priceHistory: setPriceHistory };
+    useEffect(() => {
+        if (repo) {
+            const unsubscribers = Object.entries(collectionsToSync).map(([collectionName, setter]) => (
+                repo.subscribe(collectionName, setter, (err) => {
+                    console.error(`Error syncing ${collectionName}:`, err);
+                    setError(`Could not load ${collectionName.replace(/([A-Z])/g, ' $1')}.`);
+                })
+            ));
+            return () => unsubscribers.forEach(unsub => unsub());
+        } else {
+            setIngredients([]); setRecentlyCooked([]); setFavoritedRecipes([]); setShoppingList([]); setIngredientMappings([]); setPantryLedger([]); setMealPlan([]); setStaples([]); setPriceHistory([]);
+        }
+    }, [repo]);
+
+    // --- Auth Actions ---
+    const handleAuthAction = async (action, email, password) => {
+        setError(null);
+        try {
+            if (action === 'register') await createUserWithEmailAndPassword(auth, email, password);
+            else await signInWithEmailAndPassword(auth, email, password);
+        } catch (err) { setError(err.message); }
+    };
+    const handleLogout = async () => { if (auth) await signOut(auth); };
+
+    // --- Pantry Ledger ---
+    // Adds a ledger entry to `batch` so the pantry change and its record are written together.
+    const recordLedgerEntry = (batch, entry) => {
+        const entryId = repo.newId('pantryLedger');
+        const fullEntry = { recentlyCooked: null, ...entry, by: memberStamp, createdAt: Date.now(), undoneAt: null };
+        batch.set('pantryLedger', entryId, fullEntry);
+        return { ...fullEntry, id: entryId };
+    };
+
+    const handleUndoLedgerEntry = async (entry) => {
+        // Toasts hold on to the entry (and this handler) from when they were shown, so check against the latest ledger.
+        const ledger = pantryLedgerRef.current;
+        if (!repo || (ledger.find(e => e.id === entry.id) || entry).undoneAt) return;
+        // Undo restores whole snapshots, so it would overwrite anything done to the same items since.
+        const touchedIds = new Set(entry.changes.map(change => change.ingredientId));
+        const newer = ledger.find(other => other.id !== entry.id && !other.undoneAt && other.createdAt > entry.createdAt && other.changes.some(change => touchedIds.has(change.ingredientId)));
+        if (newer) { setError(`Can't undo "${entry.description}" because "${newer.description}" has changed the same items since. Undo that first.`); return; }
+        const batch = repo.batch();
+        [...entry.changes].reverse().forEach(change => {
+            if (change.before) batch.set('ingredients', change.ingredientId, change.before);
+            else batch.delete('ingredients', change.ingredientId);
+        });
+        if (entry.recentlyCooked) {
+            if (entry.recentlyCooked.before) batch.set('recentlyCooked', entry.recentlyCooked.id, entry.recentlyCooked.before);
+            else batch.delete('recentlyCooked', entry.recentlyCooked.id);
+        }
+        (entry.priceRecordIds || []).forEach(id => batch.delete('priceHistory', id));
+        batch.update('pantryLedger', entry.id, { undoneAt: Date.now() });
+        try {
+            await batch.commit();
+            setError({ type: 'success', message: `Undid "${entry.description}".` });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error undoing pantry change:", err); setError("Failed to undo that change."); }
+    };
+
+    // --- Ingredient Management ---
+    // Adds any number of ingredients in one batch with a single ledger entry, so a whole haul undoes together.
+    // Resolves to whether the ingredients were saved, so the bulk entry knows it can clear what was pasted.
+    const handleAddIngredients = async (ingredientsData) => {
+        if (!repo || ingredientsData.length === 0) return false;
+        const batch = repo.batch();
+        const changes = ingredientsData.map(ingredientData => {
+            const newIngredient = { ...ingredientData, bestBy: ingredientData.bestBy ?? null, category: getFoodCategory(ingredientData), location: getStorageLocation(ingredientData), addedBy: memberStamp, createdAt: Date.now() };
+            const newIngredientId = repo.newId('ingredients');
+            batch.set('ingredients', newIngredientId, newIngredient);
+            return createLedgerChange(newIngredientId, null, newIngredient);
+        });
+        const description = changes.length === 1 ? `Added ${changes[0].name}` : `Added ${changes.length} ingredients`;
+        recordLedgerEntry(batch, { type: 'add', description, changes });
+        try {
+            await batch.commit();
+            return true;
+        } catch (err) { console.error("Error adding ingredients:", err); setError("Failed to add to your pantry."); return false; }
+    };
+    const handleAddIngredient = (ingredientData) => handleAddIngredients([ingredientData]);
+    const handleUpdateIngredient = async (ingredientId, updatedData) => {
+        if (!repo) return;
+        const current = ingredients.find(i => i.id === ingredientId);
+        const changes = withoutId(updatedData);
+        const batch = repo.batch();
+        batch.update('ingredients', ingredientId, changes);
+        if (current) recordLedgerEntry(batch, { type: 'edit', description: `Edited ${current.name}`, changes: [createLedgerChange(ingredientId, current, { ...current, ...changes })] });
+        const restocked = queueStapleRestock(batch, ingredients.map(i => (i.id === ingredientId ? { ...i, ...changes } : i)), [current?.name, changes.name]);
+        try {
+            await batch.commit();
+            showRestockNotice(restocked);
+        } catch (err) { console.error("Error updating ingredient:", err); }
+    };
+    const handleMoveIngredient = async (ingredient, location) => {
+        if (!repo || getStorageLocation(ingredient) === location) return;
+        const changes = { location, bestBy: getBestByAfterMove(ingredient, location) };
+        const batch = repo.batch();
+        batch.update('ingredients', ingredient.id, changes);
+        const ledgerEntry = recordLedgerEntry(batch, { type: 'edit', description: `Moved ${ingredient.name} to the ${storageLocationLabels[location].toLowerCase()}`, changes: [createLedgerChange(ingredient.id, ingredient, { ...ingredient, ...changes })] });
+        try {
+            await batch.commit();
+            if (changes.bestBy !== ingredient.bestBy) {
+                const expiry = describeExpiry({ bestBy: changes.bestBy });
+                setError({ type: 'success', message: `Moved ${ingredient.name} to the ${storageLocationLabels[location].toLowerCase()}.${expiry ? ` ${expiry}.` : ''}`, onUndo: () => handleUndoLedgerEntry(ledgerEntry) });
+                setTimeout(() => setError(null), 5000);
+            }
+        } catch (err) { console.error("Error moving ingredient:", err); setError("Failed to move that item."); }
+    };
+    const handleDeleteIngredient = async (ingredientId) => {
+        if (!repo) return;
+        const current = ingredients.find(i => i.id === ingredientId);
+        const batch = repo.batch();
+        batch.delete('ingredients', ingredientId);
+        if (current) recordLedgerEntry(batch, { type: 'delete', description: `Removed ${current.name}`, changes: [createLedgerChange(ingredientId, current, null)] });
+        const restocked = queueStapleRestock(batch, ingredients.filter(i => i.id !== ingredientId), [current?.name]);
+        try {
+            await batch.commit();
+            showRestockNotice(restocked);
+        } catch (err) { console.error("Error deleting ingredient:", err); }
+    };
+
+    // --- Staples ---
+    const describeRestock = (needs) => `Running low on ${needs.map(n => n.name).join(', ')}, so ${needs.length === 1 ? "it's" : "they're"} on your shopping list.`;
+    const showRestockNotice = (needs) => {
+        if (needs.length === 0) return;
+        setError({ type: 'success', message: describeRestock(needs) });
+        setTimeout(() => setError(null), 5000);
+    };
+
+    // Tops up the shopping list for any staple in `touchedNames` that `updatedPantry` leaves below its minimum.
+    const queueStapleRestock = (batch, updatedPantry, touchedNames) => {
+        const touchedKeys = touchedNames.filter(Boolean).map(normalizeIngredientName);
+        const needs = getStapleRestockNeeds(getLowStaples(staples.filter(staple => touchedKeys.includes(staple.key)), updatedPantry), shoppingList);
+        queueShoppingNeeds(batch, needs);
+        return needs;
+    };
+
+    const handleSaveStaple = async ({ name, minQuantity, unit }) => {
+        if (!repo || !(minQuantity > 0)) return;
+        const key = normalizeIngredientName(name);
+        try {
+            await repo.set('staples', getStapleId(key), { name, key, minQuantity, unit, createdAt: Date.now() });
+        } catch (err) { console.error("Error saving staple:", err); setError("Failed to save that staple."); }
+    };
+    const handleRemoveStaple = async (stapleId) => {
+        if (!repo) return;
+        try {
+            await repo.remove('staples', stapleId);
+        } catch (err) { console.error("Error removing staple:", err); }
+    };
+    const handleRestockLowStaples = async () => {
+        if (!repo) return;
+        const needs = getStapleRestockNeeds(getLowStaples(staples, ingredients), shoppingList);
+        if (needs.length === 0) {
+            setError({ type: 'success', message: "Everything you're low on is already on your shopping list." });
+            setTimeout(() => setError(null), 5000);
+            return;
+        }
+        const batch = repo.batch();
+        queueShoppingNeeds(batch, needs);
+        try {
+            await batch.commit();
+            showRestockNotice(needs);
+        } catch (err) { console.error("Error restocking staples:", err); setError("Failed to update your shopping list."); }
+    };
+
+    // --- Shopping List Management ---
+    const createShoppingItem = (itemData) => ({ name: itemData.name.trim(), quantity: parseFloat(itemData.quantity) || 1, unit: itemData.unit || '', aisle: itemData.aisle || getDefaultAisle(itemData.name), checked: false, addedBy: memberStamp, createdAt: Date.now() });
+
+    // Adding something that's already on the list tops up the existing entry instead of duplicating it.
+    const handleAddToShoppingList = async (itemData) => {
+        if (!repo || !itemData.name.trim()) return;
+        const newItem = createShoppingItem(itemData);
+        const target = findShoppingMergeTarget(shoppingList, newItem);
+        try {
+            if (target) await repo.update('shoppingList', target.id, { quantity: Math.round((target.quantity + convertQuantity(newItem.quantity, newItem.unit, target.unit, newItem.name)) * 100) / 100 });
+            else await repo.add('shoppingList', newItem);
+        } catch (err) { console.error("Error adding to shopping list:", err); }
+    };
+    const handleUpdateShoppingItem = async (itemId, updatedData) => {
+        if (!repo) return;
+        try {
+            await repo.update('shoppingList', itemId, updatedData);
+        } catch (err) { console.error("Error updating shopping list:", err); }
+    };
+    // Writes { name, quantity, unit, existingItem? } needs into `batch`, topping up existing entries where given.
+    const queueShoppingNeeds = (batch, needs) => needs.forEach(({ existingItem, ...itemData }) => {
+        if (existingItem) batch.update('shoppingList', existingItem.id, { quantity: itemData.quantity, checked: false });
+        else batch.set('shoppingList', repo.newId('shoppingList'), createShoppingItem(itemData));
+    });
+    const handleMergeShoppingDuplicates = async () => {
+        const merges = getShoppingDuplicateMerges(shoppingList);
+        if (!repo || merges.length === 0) return;
+        const batch = repo.batch();
+        merges.forEach(({ keep, quantity, removeIds }) => {
+            batch.update('shoppingList', keep.id, { quantity });
+            removeIds.forEach(id => batch.delete('shoppingList', id));
+        });
+        try {
+            await batch.commit();
+        } catch (err) { console.error("Error merging shopping list items:", err); }
+    };
+    const handleDeleteFromShoppingList = async (itemId) => {
+        if (!repo) return;
+        try {
+            await repo.remove('shoppingList', itemId);
+        } catch (err) { console.error("Error deleting from shopping list:", err); }
+    };
+    const handleMoveToPantry = async (itemsToMove) => {
+        if (!repo || itemsToMove.length === 0) return;
+        const batch = repo.batch();
+        const priceRecordIds = [];
+        const changes = itemsToMove.map(item => {
+            const ingredientData = { name: item.name, quantity: parseFloat(item.quantity) || 0, unit: item.unit, bestBy: fromDateInputValue(item.bestBy), category: getFoodCategory(item), location: getStorageLocation(item), addedBy: memberStamp, createdAt: Date.now() };
+            const price = parseFloat(item.price);
+            if (price > 0) {
+                // Kept on the pantry item too, so cooking with it is costed at what was actually paid.
+                const priceRecord = { ...createPriceRecord(item, price), paidBy: memberStamp };
+                const priceRecordId = repo.newId('priceHistory');
+                batch.set('priceHistory', priceRecordId, priceRecord);
+                priceRecordIds.push(priceRecordId);
+                ingredientData.purchasePrice = { price, quantity: priceRecord.quantity, unit: priceRecord.unit };
+            }
+            const newIngredientId = repo.newId('ingredients');
+            batch.set('ingredients', newIngredientId, ingredientData);
+            batch.delete('shoppingList', item.id);
+            return createLedgerChange(newIngredientId, null, ingredientData);
+        });
+        recordLedgerEntry(batch, { type: 'restock', description: `Restocked ${itemsToMove.length} item${itemsToMove.length === 1 ? '' : 's'} from the shopping list`, changes, priceRecordIds });
+        try {
+            await batch.commit();
+            setIsMoveModalOpen(false);
+        } catch (err) { console.error("Error moving items to pantry:", err); }
+    };
+
+
+    const handleUnitSystemChange = async (system) => {
+        setUnitSystem(system);
+        try {
+            await personalRepo?.set('profile', 'display', { unitSystem: system, updatedAt: Date.now() });
+        } catch (err) { console.error("Error saving display settings:", err); }
+    };
+
+    // --- Dietary Profile ---
+    const handleSaveDietaryProfile = async (profile) => {
+        if (!personalRepo) return;
+        try {
+            await personalRepo.set('profile', 'dietary', { ...profile, updatedAt: Date.now() });
+            setIsDietaryModalOpen(false);
+        } catch (err) { console.error("Error saving dietary profile:", err); setError("Failed to save your dietary profile."); }
+    };
+
+    // --- Recipe Generation ---
+    // Everything the model is told about the pantry and the user; shared by new searches, replacements and "more like this".
+    const buildRecipePrompt = (count, { exclude = [], likeRecipe = null } = {}) => {
+        // Pantry items the profile rules out aren't offered to the model at all.
+        const usableIngredients = ingredients.filter(i => (useLeftovers || !isLeftover(i)) && findDietaryConflicts({ ingredientsNeeded: [i], instructions: [] }, dietaryProfile).length === 0);
+        const ingredientsString = usableIngredients.map(i => `${i.quantity} ${i.unit} ${i.name}`).join(', ');
+        const options = count === 1 ? 'one recipe option' : `${count} diverse recipe options`;
+        let prompt = maxMissingIngredients > 0
+            ? `You are a helpful culinary assistant. Using mainly the following list of available ingredients, generate ${options}. Each recipe may also use up to ${maxMissingIngredients} ingredient${maxMissingIngredients === 1 ? '' : 's'} the user doesn't have (or more of an ingredient than is available); everything else must come from the list. For each recipe, provide a name, a short description, the number of servings it makes, a list of all the ingredients needed, and step-by-step instructions. Available ingredients: ${ingredientsString}.`
+            : `You are a helpful culinary assistant. Based ONLY on the following list of available ingredients, generate ${options}. For each recipe, provide a name, a short description, the number of servings it makes, a list of the ingredients needed from the pantry, and step-by-step instructions. Ensure the needed ingredients do not exceed the available quantities. Available ingredients: ${ingredientsString}.`;
+        if (mealType !== 'any') prompt += ` The user is looking for a ${mealType} recipe.`;
+        prompt += unitSystem === 'us' ? ' Give quantities in US customary units (cups, tablespoons, teaspoons, ounces, pounds) or plain counts.' : ' Give quantities in metric units (grams, kilograms, millilitres, litres; teaspoons and tablespoons are fine for small amounts) or plain counts.';
+        const leftovers = usableIngredients.filter(isLeftover);
+        if (leftovers.length > 0) {
+            prompt += ` Some pantry items are leftovers of dishes already cooked, counted in servings: ${leftovers.map(i => i.name).join(', ')}. They can be reheated as they are or reused as an ingredient in something new (for example leftover chili in stuffed peppers); list them with the unit "${LEFTOVER_UNIT}".`;
+        }
+
+        const expiringIngredients = ingredients
+            .filter(i => ['expired', 'soon'].includes(getExpiryStatus(i)))
+            .sort((a, b) => a.bestBy - b.bestBy);
+        if (expiringIngredients.length > 0) {
+            const expiringString = expiringIngredients.map(i => `${i.name} (${describeExpiry(i).toLowerCase()})`).join(', ');
+            prompt += ` These ingredients are close to their best-by date, so prioritize recipes that use them up first: ${expiringString}.`;
+        }
+        
+        const allPreferences = [...selectedTags, preferences.trim()].filter(Boolean).join(', ');
+        if (allPreferences) {
+            prompt += ` The user also has the following preferences, please try to accommodate them: ${allPreferences}.`;
+        }
+        if (likeRecipe) prompt += ` Make every recipe similar to "${likeRecipe.recipeName}" (${likeRecipe.description}): the same kind of dish and flavors, but clearly a different recipe.`;
+        const ratingFeedback = describeRatingFeedback(recentlyCooked);
+        if (ratingFeedback) prompt += ` ${ratingFeedback}`;
+        const recentNames = getRecentlyCookedNames(recentlyCooked);
+        if (recentNames.length > 0) prompt += ` The user cooked these recently, so suggest something different: ${recentNames.join(', ')}.`;
+        if (exclude.length > 0) prompt += ` These have already been suggested, so don't repeat them: ${exclude.join(', ')}.`;
+        const latestPrices = getLatestPrices(priceHistory);
+        if (isBudgetFriendly) prompt += ` ${describeBudgetPreference(latestPrices)}`;
+        const dietaryRequirements = describeDietaryProfile(dietaryProfile);
+        if (dietaryRequirements) prompt += ` IMPORTANT: ${dietaryRequirements}`;
+        return { prompt, usableIngredients, latestPrices };
+    };
+
+    // Runs one generation at a time with an abort signal; cancelling keeps whatever has already arrived.
+    const runGeneration = async (state, run) => {
+        // Starting a new one stops the last, so two streams never write into the list at once.
+        generationRef.current?.abort();
+        const controller = new AbortController();
+        generationRef.current = controller;
+        setGeneration(state); setError(null);
+        try {
+            await run(controller.signal);
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error("Error fetching recipes:", err); setError(`Failed to find recipes. ${err.message}`);
+        } finally {
+            if (generationRef.current === controller) { generationRef.current = null; setGeneration(null); }
+        }
+    };
+    const handleCancelGeneration = () => generationRef.current?.abort();
+
+    /**
+     * Streams up to `count` suggestions into `onRecipe` as they arrive. Repeats of `exclude` or of recent cooks are
+     * dropped, and so are recipes that clash with the dietary profile: the model is asked nicely in the prompt, this
+     * is the check that actually keeps unsafe recipes out. Resolves to { accepted, rejected, isComplete }.
+     */
+    const streamRecipes = async ({ prompt, usableIngredients, count, exclude, signal, onRecipe }) => {
+        const avoid = [...exclude, ...getRecentlyCookedNames(recentlyCooked)];
+        const rejected = [];
+        let accepted = 0;
+        // Remember what was asked for so cooking history can be broken down by meal type and cuisine.
+        const searchContext = { mealType: mealType === 'any' ? null : mealType, cuisines: selectedTags.filter(tag => cuisineTags.includes(tag)) };
+        const { isComplete } = await generateRecipes(getRecipeProvider(), { prompt, schema: recipeListSchema, ingredients: usableIngredients, count, exclude: avoid, signal, onRecipe: (recipe) => {
+            if (signal.aborted || accepted >= count || avoid.some(name => isSameRecipeName(name, recipe.recipeName))) return;
+            const conflicts = findDietaryConflicts(recipe, dietaryProfile).filter(c => c.where === 'ingredients');
+            if (conflicts.length > 0) { rejected.push({ recipe, conflicts }); return; }
+            avoid.push(recipe.recipeName);
+            accepted++;
+            onRecipe({ ...recipe, ...searchContext });
+        } });
+        return { accepted, rejected, isComplete };
+    };
+    const describeRejected = (rejected) => rejected.map(({ recipe, conflicts }) => `${recipe.recipeName} (${conflicts.map(c => `${c.term}, ${c.reason}`).join('; ')})`).join(', ');
+    // Reports what a search ended with once at least one recipe made it through.
+    const reportSuggestions = ({ accepted, rejected, isComplete }) => {
+        if (rejected.length > 0) setError(`Removed ${rejected.length} suggestion${rejected.length === 1 ? '' : 's'} that clashed with your dietary profile: ${describeRejected(rejected)}.`);
+        else if (!isComplete) setError(`The answer broke off early, so only ${accepted} recipe${accepted === 1 ? '' : 's'} came through.`);
+    };
+
+    const findRecipes = () => {
+        if (ingredients.length === 0) { setError("Please add some ingredients to your pantry first!"); return; }
+        setRecipes([]); setSelectedRecipe(null);
+        personalRepo?.set('profile', 'search', { tags: selectedTags, preferences, mealType, maxMissingIngredients, useLeftovers, budgetFriendly: isBudgetFriendly, count: suggestionCount }).catch(err => console.error("Error saving search:", err));
+        const { prompt, usableIngredients, latestPrices } = buildRecipePrompt(suggestionCount);
+        return runGeneration({ kind: 'search', count: suggestionCount }, async (signal) => {
+            const result = await streamRecipes({ prompt, usableIngredients, count: suggestionCount, exclude: [], signal, onRecipe: (recipe) => setRecipes(current => [...current, recipe]) });
+            const { accepted, rejected } = result;
+            if (accepted === 0) { setError(rejected.length > 0 ? `Every suggestion clashed with your dietary profile: ${describeRejected(rejected)}. Please try again.` : "Every suggestion was something you've cooked recently. Please try again."); return; }
+            if (isBudgetFriendly) {
+                // Cheapest first once they're all in; recipes nothing could be priced for go last.
+                const costOf = (recipe) => estimateRecipeCost(recipe, latestPrices, getMappingsByKey()).total ?? Infinity;
+                setRecipes(current => [...current].sort((a, b) => costOf(a) - costOf(b)));
+            }
+            reportSuggestions(result);
+        });
+    };
+
+    // Swaps one suggestion for a new one that doesn't repeat anything already on the list.
+    const handleReplaceRecipe = (recipe) => {
+        const exclude = recipes.map(r => r.recipeName);
+        const { prompt, usableIngredients } = buildRecipePrompt(1, { exclude });
+        return runGeneration({ kind: 'replace', recipe }, async (signal) => {
+            const { accepted, rejected } = await streamRecipes({ prompt, usableIngredients, count: 1, exclude, signal, onRecipe: (replacement) => setRecipes(current => current.map(r => (r === recipe ? replacement : r))) });
+            if (accepted === 0) setError(rejected.length > 0 ? `The replacement clashed with your dietary profile: ${describeRejected(rejected)}. Please try again.` : "Couldn't come up with a different recipe. Please try again.");
+        });
+    };
+
+    const handleMoreLikeThis = (recipe) => {
+        const exclude = recipes.map(r => r.recipeName);
+        const { prompt, usableIngredients } = buildRecipePrompt(suggestionCount, { exclude, likeRecipe: recipe });
+        setSelectedRecipe(null);
+        return runGeneration({ kind: 'more', count: suggestionCount }, async (signal) => {
+            const result = await streamRecipes({ prompt, usableIngredients, count: suggestionCount, exclude, signal, onRecipe: (similar) => setRecipes(current => [...current, similar]) });
+            const { accepted, rejected } = result;
+            if (accepted === 0) setError(rejected.length > 0 ? `Every suggestion clashed with your dietary profile: ${describeRejected(rejected)}. Please try again.` : `Couldn't come up with anything new like ${recipe.recipeName}. Please try again.`);
+            else reportSuggestions(result);
+        });
+    };
+
+    const handleCloseSuggestions = () => { handleCancelGeneration(); setRecipes([]); };
+    
+    // --- Cooking & Recipe History Logic ---
+    const getMappingsByKey = () => Object.fromEntries(ingredientMappings.map(m => [m.neededKey, m.pantryKey]));
+
+    // Runs `action` once every recipe line maps onto the pantry unambiguously, asking the user first if needed.
+    const runWithIngredientMatches = (recipe, action) => {
+        const mappings = getMappingsByKey();
+        const questions = matchRecipeIngredients(recipe, ingredients, mappings).filter(m => m.status === 'ambiguous');
+        if (questions.length === 0) { action(mappings); return; }
+        setPendingMatch({ questions, action, mappings });
+    };
+
+    const handleConfirmMatches = async (choices) => {
+        const { action, mappings } = pendingMatch;
+        setPendingMatch(null);
+        const batch = repo.batch();
+        // A name with no letters normalizes to an empty key, which can't be a document id; such choices apply to this cook only.
+        choices.filter(({ neededKey }) => neededKey).forEach(({ neededKey, pantryKey }) => {
+            batch.set('ingredientMappings', neededKey.replace(/\s/g, '-'), { neededKey, pantryKey, createdAt: Date.now() });
+        });
+        try {
+            await batch.commit();
+        } catch (err) { console.error("Error saving ingredient matches:", err); }
+        // The snapshot listener may not have caught up yet, so hand the new choices straight to the action.
+        action({ ...mappings, ...Object.fromEntries(choices.map(c => [c.neededKey, c.pantryKey])) });
+    };
+
+    const checkIngredients = (recipe, mappings = getMappingsByKey()) => {
+        const problem = getShortfallReport(recipe, ingredients, mappings).find(line => line.status !== 'ok');
+        if (problem) { setError(describeShortfallLine(problem)); return false; }
+        return true;
+    };
+
+    const handleAddShortfallToShoppingList = async (recipe) => {
+        const shortfall = getBuyableShortfall(getShortfallReport(recipe, ingredients, getMappingsByKey()));
+        if (!repo || shortfall.length === 0) return;
+        const batch = repo.batch();
+        queueShoppingNeeds(batch, getShoppingAdditions(shoppingList, shortfall.map(line => ({ name: line.needed.name, quantity: Math.ceil(line.shortfall * 100) / 100, unit: line.needed.unit || '' }))));
+        try {
+            await batch.commit();
+            setError({ type: 'success', message: `Added ${shortfall.length} item${shortfall.length === 1 ? '' : 's'} for ${recipe.recipeName} to your shopping list.` });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error adding shortfall to shopping list:", err); setError("Failed to update your shopping list."); }
+    };
+
+    const enterCookingMode = (recipe) => {
+        setSelectedRecipe(recipe);
+        setIsCookingMode(true);
+        saveCookingSession({ uid: user.uid, recipe, servings: recipe === selectedRecipe ? selectedServings : getRecipeServings(recipe), step: 0, timers: [] });
+    };
+    const exitCookingMode = () => { setIsCookingMode(false); clearCookingSession(); };
+
+    // Pick up a cooking session that was interrupted by a reload.
+    useEffect(() => {
+        const session = user && loadCookingSession();
+        if (session?.uid !== user?.uid || !session?.recipe) return;
+        setSelectedRecipe(session.recipe);
+        setServingsOverride({ recipe: session.recipe, servings: session.servings });
+        setIsCookingMode(true);
+    }, [user]);
+
+    // The servings chosen in the detail/cooking views belong to the recipe they were picked for.
+    const selectedServings = selectedRecipe && servingsOverride.recipe === selectedRecipe ? servingsOverride.servings : selectedRecipe && getRecipeServings(selectedRecipe);
+    const scaledRecipe = selectedRecipe && scaleRecipe(selectedRecipe, selectedServings);
+    const handleServingsChange = (servings) => {
+        setServingsOverride({ recipe: selectedRecipe, servings });
+        if (isCookingMode) saveCookingSession({ servings });
+    };
+
+    // Works out the pantry deductions and hands them to the confirmation screen instead of writing straight away.
+    const handlePreviewFinishCooking = (mappings) => {
+        if (!scaledRecipe || !repo) return;
+        if (!checkIngredients(scaledRecipe, mappings)) { exitCookingMode(); return; }
+        const { updatedQuantities } = allocateRecipeIngredients(matchRecipeIngredients(scaledRecipe, ingredients, mappings));
+        const rows = [...updatedQuantities].map(([ingredientId, quantity]) => ({
+            ingredient: ingredients.find(i => i.id === ingredientId),
+            newQuantity: Math.max(Math.round(quantity * 100) / 100, 0),
+        }));
+        setDeductionPreview({ recipe: selectedRecipe, servings: selectedServings, rows });
+    };
+
+    const handleFinishCooking = async (rows, leftoverServings = 0) => {
+        const { recipe, servings } = deductionPreview;
+        const batch = repo.batch();
+        const changes = rows.map(({ ingredient, newQuantity }) => {
+            if (newQuantity <= 0.001) { batch.delete('ingredients', ingredient.id); return createLedgerChange(ingredient.id, ingredient, null); }
+            batch.update('ingredients', ingredient.id, { quantity: newQuantity });
+            return createLedgerChange(ingredient.id, ingredient, { ...ingredient, quantity: newQuantity });
+        });
+        
+        // Suggestions have no id until saved, so a repeat cook finds its earlier one by name and its ratings build up on one recipe.
+        const recipeId = recipe.id || recentlyCooked.find(r => isSameRecipeName(r.recipeName, recipe.recipeName))?.id || `${Date.now()}-${recipe.recipeName.replace(/\s/g, '-')}`;
+        if (leftoverServings > 0) {
+            // Part of the cook's ledger entry, so undoing the cook takes the leftovers back out too.
+            const leftover = { ...createLeftover(recipe, recipeId, leftoverServings), addedBy: memberStamp, createdAt: Date.now() };
+            const leftoverId = repo.newId('ingredients');
+            batch.set('ingredients', leftoverId, leftover);
+            changes.push(createLedgerChange(leftoverId, null, leftover));
+        }
+        const previousCook = recentlyCooked.find(r => r.id === recipeId);
+        // Each cook gets its own rating and notes; the one it replaces moves into pastCooks.
+        const pastCooks = previousCook ? [...(previousCook.pastCooks || []), { cookedAt: previousCook.cookedAt, servingsCooked: previousCook.servingsCooked, cookedBy: previousCook.cookedBy || null, cost: previousCook.cost ?? null, rating: previousCook.rating || null, notes: previousCook.notes || '' }] : [];
+        const cost = getDeductionCost(rows, getLatestPrices(priceHistory));
+        const cookedRecipe = { ...recipe, id: recipeId, servingsCooked: servings, cookedBy: memberStamp, cookedAt: Date.now(), cost, rating: null, notes: '', pastCooks };
+        batch.set('recentlyCooked', recipeId, cookedRecipe);
+        const ledgerEntry = recordLedgerEntry(batch, { type: 'cook', description: `Cooked ${recipe.recipeName}`, changes, recentlyCooked: { id: recipeId, before: previousCook ? withoutId(previousCook) : null }, recipe: { recipeName: recipe.recipeName, mealType: recipe.mealType || null, cuisines: recipe.cuisines || [], cost } });
+        const remainingPantry = ingredients
+            .map(i => { const row = rows.find(r => r.ingredient.id === i.id); return row ? { ...i, quantity: row.newQuantity } : i; })
+            .filter(i => !rows.some(r => r.ingredient.id === i.id && r.newQuantity <= 0.001));
+        const restocked = queueStapleRestock(batch, remainingPantry, rows.map(r => r.ingredient.name));
+
+        try {
+            await batch.commit();
+            setDeductionPreview(null); setSelectedRecipe(null); setRecipes([]); exitCookingMode();
+            setError({type: 'success', message: `Enjoy your ${recipe.recipeName}! Your pantry has been updated${leftoverServings > 0 ? ` and ${leftoverServings} leftover serving${leftoverServings === 1 ? ' is' : 's are'} in the fridge` : ''}.${restocked.length > 0 ? ` ${describeRestock(restocked)}` : ''}`, onUndo: () => handleUndoLedgerEntry(ledgerEntry)});
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error finishing cooking:", err); setError("Failed to update pantry."); }
+    };
+
+    const handleReviewCook = async (recipeId, review) => {
+        if (!repo) return;
+        try {
+            await repo.update('recentlyCooked', recipeId, review);
+        } catch (err) { console.error("Error saving review:", err); setError("Failed to save your rating."); }
+    };
+
+    const handleEditSavedRecipe = async (recipe, edits) => {
+        if (!repo) return;
+        try {
+            await repo.update('favoritedRecipes', recipe.id, { ...edits, original: recipe.original || getRecipeContent(recipe), editedAt: Date.now() });
+            setEditingRecipe(null);
+        } catch (err) { console.error("Error editing recipe:", err); setError("Failed to save your changes to the recipe."); }
+    };
+
+    const handleRestoreOriginalRecipe = async (recipe) => {
+        if (!repo || !recipe.original) return;
+        try {
+            await repo.update('favoritedRecipes', recipe.id, { ...recipe.original, original: null, editedAt: null });
+            setEditingRecipe(null);
+        } catch (err) { console.error("Error restoring recipe:", err); setError("Failed to restore the original recipe."); }
+    };
+
+    const handleSaveImportedRecipe = async (recipe) => {
+        if (!repo) return;
+        const recipeId = `${Date.now()}-${recipe.recipeName.replace(/\s/g, '-')}`;
+        try {
+            await repo.set('favoritedRecipes', recipeId, { ...recipe, id: recipeId, source: 'imported', addedBy: memberStamp, createdAt: Date.now() });
+            setIsRecipeImportOpen(false);
+            setError({ type: 'success', message: `${recipe.recipeName} was added to your saved recipes.` });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error importing recipe:", err); setError("Failed to save the imported recipe."); }
+    };
+
+    const handleEatLeftover = async (leftover) => {
+        if (!repo) return;
+        const remaining = Math.round((leftover.quantity - 1) * 100) / 100;
+        const batch = repo.batch();
+        if (remaining <= 0.001) batch.delete('ingredients', leftover.id);
+        else batch.update('ingredients', leftover.id, { quantity: remaining });
+        const ledgerEntry = recordLedgerEntry(batch, { type: 'edit', description: `Ate a serving of ${leftover.leftover.recipeName}`, changes: [createLedgerChange(leftover.id, leftover, remaining <= 0.001 ? null : { ...leftover, quantity: remaining })] });
+        try {
+            await batch.commit();
+            setError({ type: 'success', message: remaining <= 0.001 ? `That was the last of the ${leftover.leftover.recipeName}.` : `Enjoy! ${formatQuantity(remaining)} serving${remaining === 1 ? '' : 's'} of ${leftover.leftover.recipeName} left.`, onUndo: () => handleUndoLedgerEntry(ledgerEntry) });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error eating leftovers:", err); setError("Failed to update your leftovers."); }
+    };
+
+    const handleFavoriteRecipe = async (recipe) => {
+        if (!repo) return;
+        const recipeId = recipe.id || `${Date.now()}-${recipe.recipeName.replace(/\s/g, '-')}`;
+        const isFavorited = favoritedRecipes.some(r => r.id === recipeId);
+        try {
+            if (isFavorited) await repo.remove('favoritedRecipes', recipeId);
+            else await repo.set('favoritedRecipes', recipeId, { ...recipe, id: recipeId });
+        } catch (err) { console.error("Error favoriting recipe:", err); }
+    };
+    
+    // --- Meal Planning ---
+    const handleAddToMealPlan = async ({ date, meal, recipe, servings }) => {
+        if (!repo) return;
+        try {
+            await repo.add('mealPlan', { date, meal, recipe, servings: servings || getRecipeServings(recipe), addedBy: memberStamp, createdAt: Date.now() });
+            setError({ type: 'success', message: `Planned ${recipe.recipeName} for ${meal} on ${new Date(fromDateInputValue(date)).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}.` });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error adding to meal plan:", err); setError("Failed to update your meal plan."); }
+    };
+    const handleUpdateMealPlanEntry = async (entryId, updatedData) => {
+        if (!repo) return;
+        try {
+            await repo.update('mealPlan', entryId, updatedData);
+        } catch (err) { console.error("Error updating meal plan:", err); }
+    };
+    const handleRemoveFromMealPlan = async (entryId) => {
+        if (!repo) return;
+        try {
+            await repo.remove('mealPlan', entryId);
+        } catch (err) { console.error("Error removing from meal plan:", err); }
+    };
+    const handleOpenPlannedRecipe = (entry) => {
+        setSelectedRecipe(entry.recipe);
+        setServingsOverride({ recipe: entry.recipe, servings: entry.servings });
+    };
+
+    const handleBuildShoppingList = async (plannedMeals) => {
+        if (!repo || plannedMeals.length === 0) return;
+        const needs = getMealPlanShoppingNeeds(plannedMeals, ingredients, shoppingList, getMappingsByKey());
+        if (needs.length === 0) {
+            setError({ type: 'success', message: "Your pantry and shopping list already cover this week's meals." });
+            setTimeout(() => setError(null), 5000);
+            return;
+        }
+        const batch = repo.batch();
+        queueShoppingNeeds(batch, needs);
+        try {
+            await batch.commit();
+            setError({ type: 'success', message: `Added ${needs.length} item${needs.length === 1 ? '' : 's'} for ${plannedMeals.length} planned meal${plannedMeals.length === 1 ? '' : 's'} to your shopping list.` });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error building shopping list:", err); setError("Failed to update your shopping list."); }
+    };
+
+    // --- Households ---
+    const showHouseholdSuccess = (message) => { setError({ type: 'success', message }); setTimeout(() => setError(null), 5000); };
+
+    const handleCreateHousehold = async (name) => {
+        if (!appRepo || !personalRepo || !name.trim()) return;
+        const newHouseholdId = appRepo.newId('households');
+        const inviteCode = generateInviteCode();
+        const now = Date.now();
+        const batch = appRepo.batch()
+            .set('households', newHouseholdId, { name: name.trim(), ownerId: user.uid, inviteCode, members: { [user.uid]: { name: getMemberName(user), role: 'owner', joinedAt: now } }, createdAt: now })
+            .set('householdInvites', inviteCode, { householdId: newHouseholdId, createdAt: now });
+        try {
+            await batch.commit();
+            await personalRepo.set('profile', 'household', { householdId: newHouseholdId, joinedAt: now });
+            showHouseholdSuccess(`Created ${name.trim()}. Share the invite code ${inviteCode} to add members.`);
+        } catch (err) { console.error("Error creating household:", err); setError("Failed to create the household."); }
+    };
+
+    const handleJoinHousehold = async (code) => {
+        if (!appRepo || !personalRepo) return;
+        try {
+            const invite = await appRepo.get('householdInvites', code.trim().toUpperCase());
+            if (!invite) { setError("That invite code doesn't match a household."); return; }
+            // Write only our own member entry so joining can't clobber anyone else's.
+            await appRepo.update('households', invite.householdId, { [`members.${user.uid}`]: { name: getMemberName(user), role: 'member', joinedAt: Date.now() } });
+            await personalRepo.set('profile', 'household', { householdId: invite.householdId, joinedAt: Date.now() });
+            showHouseholdSuccess("You've joined the household.");
+        } catch (err) { console.error("Error joining household:", err); setError("Failed to join the household."); }
+    };
+
+    const handleLeaveHousehold = async () => {
+        if (!appRepo || !household) return;
+        const isOwner = household.ownerId === user.uid;
+        const otherMembers = Object.keys(household.members).filter(uid => uid !== user.uid);
+        if (isOwner && otherMembers.length > 0) { setError("Remove the other members before leaving a household you own."); return; }
+        // Like joining, only our own entry is touched, so someone joining at the same moment isn't dropped.
+        const batch = appRepo.batch().update('households', householdId, { [`members.${user.uid}`]: DELETE_FIELD });
+        // With the owner gone nobody could manage new members, so retire the invite code too.
+        if (isOwner) batch.delete('householdInvites', household.inviteCode);
+        try {
+            await batch.commit();
+            await personalRepo.remove('profile', 'household');
+            setIsHouseholdModalOpen(false);
+            showHouseholdSuccess(`You've left ${household.name}.`);
+        } catch (err) { console.error("Error leaving household:", err); setError("Failed to leave the household."); }
+    };
+
+    const handleRemoveHouseholdMember = async (memberId) => {
+        if (!appRepo || household?.ownerId !== user.uid || memberId === user.uid) return;
+        try {
+            await appRepo.update('households', householdId, { [`members.${memberId}`]: DELETE_FIELD });
+        } catch (err) { console.error("Error removing household member:", err); setError("Failed to remove that member."); }
+    };
+
+    const handleRegenerateInviteCode = async () => {
+        if (!appRepo || household?.ownerId !== user.uid) return;
+        const inviteCode = generateInviteCode();
+        const batch = appRepo.batch()
+            .delete('householdInvites', household.inviteCode)
+            .set('householdInvites', inviteCode, { householdId, createdAt: Date.now() })
+            .update('households', householdId, { inviteCode });
+        try {
+            await batch.commit();
+        } catch (err) { console.error("Error changing invite code:", err); setError("Failed to change the invite code."); }
+    };
+
+    const handleMovePersonalData = async () => {
+        if (!personalRepo || !isHouseholdMember) return;
+        try {
+            const moved = await moveCollections(personalRepo, repo, Object.keys(collectionsToSync));
+            showHouseholdSuccess(moved > 0 ? `Moved ${moved} item${moved === 1 ? '' : 's'} from your personal pantry into ${household.name}.` : "Your personal pantry was already empty.");
+        } catch (err) { console.error("Error moving personal data:", err); setError("Failed to move your personal pantry. Nothing was removed from it."); }
+    };
+
+    const handleImportBackup = async (collections, mode) => {
+        if (!repo) return;
+        const plan = planImport({ ingredients, shoppingList, favoritedRecipes, recentlyCooked }, collections, mode);
+        try {
+            await applyImportPlan(repo, plan);
+            const imported = Object.values(plan).reduce((sum, { adds, updates }) => sum + adds.length + updates.length, 0);
+            setIsBackupModalOpen(false);
+            setError({ type: 'success', message: `Imported ${imported} item${imported === 1 ? '' : 's'}.` });
+            setTimeout(() => setError(null), 5000);
+        } catch (err) { console.error("Error importing backup:", err); setError("The import didn't finish. Some items may have been written; check your lists before trying again."); }
+    };
+
+    // --- Navigation & Render Logic ---
+    if (!isAuthReady) return <div className="bg-gray-50 min-h-screen flex items-center justify-center"><Loader text="Connecting to services..." /></div>;
+    if (!user) return <AuthScreen onAuth={handleAuthAction} view={authView} setView={setAuthView} error={error} setError={setError} />;
+    const matchModal = pendingMatch && <IngredientMatchModal questions={pendingMatch.questions} onConfirm={handleConfirmMatches} onCancel={() => setPendingMatch(null)} />;
+    const previewModal = deductionPreview && <DeductionPreviewModal recipe={deductionPreview.recipe} servings={deductionPreview.servings} rows={deductionPreview.rows} onConfirm={handleFinishCooking} onCancel={() => setDeductionPreview(null)} />;
+    if (isCookingMode && selectedRecipe) return <>{matchModal}{previewModal}<CookingView recipe={scaledRecipe} unitSystem={unitSystem} servings={selectedServings} onServingsChange={handleServingsChange} onExit={exitCookingMode} onFinishCooking={() => runWithIngredientMatches(scaledRecipe, handlePreviewFinishCooking)} /></>;
+
+    const renderMainContent = () => {
+        if (generation?.kind === 'search' && recipes.length === 0) return <div className="flex flex-col items-center gap-4"><Loader text="Finding recipes..." /><button onClick={handleCancelGeneration} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button></div>;
+        if (selectedRecipe) return <RecipeDetail recipe={scaledRecipe} unitSystem={unitSystem} dietaryConflicts={findDietaryConflicts(scaledRecipe, dietaryProfile)} servings={selectedServings} onServingsChange={handleServingsChange} report={getShortfallReport(scaledRecipe, ingredients, getMappingsByKey())} cost={estimateRecipeCost(scaledRecipe, getLatestPrices(priceHistory), getMappingsByKey())} onAddShortfall={() => handleAddShortfallToShoppingList(scaledRecipe)} onAddToPlan={(date, meal) => handleAddToMealPlan({ date, meal, recipe: selectedRecipe, servings: selectedServings })} onShare={() => setSharingRecipe(scaledRecipe)} onStartCooking={() => runWithIngredientMatches(scaledRecipe, (mappings) => { if (checkIngredients(scaledRecipe, mappings)) enterCookingMode(selectedRecipe); })} onBack={() => setSelectedRecipe(null)} />;
+        if (recipes.length > 0) return <RecipeList recipes={recipes} dietaryConflicts={recipes.map(r => findDietaryConflicts(r, dietaryProfile))} reports={recipes.map(r => getShortfallReport(r, ingredients, getMappingsByKey()))} costs={recipes.map(r => estimateRecipeCost(r, getLatestPrices(priceHistory), getMappingsByKey()))} generation={generation} onSelect={setSelectedRecipe} onAddShortfall={handleAddShortfallToShoppingList} onReplace={handleReplaceRecipe} onMoreLikeThis={handleMoreLikeThis} onCancel={handleCancelGeneration} onBack={handleCloseSuggestions} />;
+        
+        return (
+            <div className="space-y-8">
+                <PantrySection ingredients={ingredients} unitSystem={unitSystem} ledger={pantryLedger} priceHistory={priceHistory} staples={staples} onUndo={handleUndoLedgerEntry} onDelete={handleDeleteIngredient} onAdd={handleAddIngredient} onAddMany={handleAddIngredients} onUpdate={handleUpdateIngredient} onMove={handleMoveIngredient} onSaveStaple={handleSaveStaple} onRemoveStaple={handleRemoveStaple} onRestockStaples={handleRestockLowStaples} isCollapsed={isPantryCollapsed} setIsCollapsed={setIsPantryCollapsed} />
+                <ShoppingListSection shoppingList={shoppingList} onAdd={handleAddToShoppingList} onUpdate={handleUpdateShoppingItem} onDelete={handleDeleteFromShoppingList} onMergeDuplicates={handleMergeShoppingDuplicates} onMove={() => setIsMoveModalOpen(true)} />
+                <MealPlanSection mealPlan={mealPlan} favoritedRecipes={favoritedRecipes} recentlyCooked={recentlyCooked} onAdd={handleAddToMealPlan} onUpdate={handleUpdateMealPlanEntry} onRemove={handleRemoveFromMealPlan} onOpen={handleOpenPlannedRecipe} onBuildShoppingList={handleBuildShoppingList} />
+                <HistorySection favoritedRecipes={favoritedRecipes} recentlyCooked={recentlyCooked} onCookAgain={(r) => runWithIngredientMatches(r, (mappings) => { if (checkIngredients(r, mappings)) enterCookingMode(r); })} onFavorite={handleFavoriteRecipe} onImport={() => setIsRecipeImportOpen(true)} onShare={setSharingRecipe} onEdit={setEditingRecipe} onReview={handleReviewCook} favoritedIds={favoritedRecipes.map(r => r.id)} />
+                <InsightsSection ledger={pantryLedger} recentlyCooked={recentlyCooked} priceHistory={priceHistory} />
+            </div>
+        );
+    };
+
+    return (
+        <div className="bg-gray-50 min-h-screen font-sans text-gray-800">
+            {matchModal}
+            {isDietaryModalOpen && <DietaryProfileModal profile={dietaryProfile} onSave={handleSaveDietaryProfile} onCancel={() => setIsDietaryModalOpen(false)} />}
+            {isHouseholdModalOpen && <HouseholdModal household={isHouseholdMember ? household : null} userId={user.uid} onCreate={handleCreateHousehold} onJoin={handleJoinHousehold} onLeave={handleLeaveHousehold} onRemoveMember={handleRemoveHouseholdMember} onRegenerateCode={handleRegenerateInviteCode} onMovePersonalData={handleMovePersonalData} onClose={() => setIsHouseholdModalOpen(false)} />}
+            {editingRecipe && <RecipeEditModal recipe={editingRecipe} onSave={(edits) => handleEditSavedRecipe(editingRecipe, edits)} onRestoreOriginal={() => handleRestoreOriginalRecipe(editingRecipe)} onCancel={() => setEditingRecipe(null)} />}
+            {sharingRecipe && <RecipeShareModal recipe={sharingRecipe} onClose={() => setSharingRecipe(null)} />}
+            {isRecipeImportOpen && <RecipeImportModal onSave={handleSaveImportedRecipe} onCancel={() => setIsRecipeImportOpen(false)} />}
+            {isBackupModalOpen && <BackupModal data={{ ingredients, shoppingList, favoritedRecipes, recentlyCooked }} onImport={handleImportBackup} onClose={() => setIsBackupModalOpen(false)} />}
+            {isMoveModalOpen && <MoveToPantryModal items={shoppingList} onConfirm={handleMoveToPantry} onCancel={() => setIsMoveModalOpen(false)} />}
+            <div className="container mx-auto p-4 md:p-8">
+                <header className="text-center mb-8 relative">
+                    <h1 className="text-4xl md:text-5xl font-bold text-gray-900 flex items-center justify-center">Fridge Forager</h1>
+                    <p className="text-gray-600 mt-2">What can we make with what you have?</p>
+                    <div className="absolute top-0 right-0 flex items-center gap-2">
+                        <div className="flex rounded-md border border-gray-300 overflow-hidden text-xs" role="group" aria-label="Units">
+                            {Object.entries(unitSystemLabels).map(([system, label]) => <button key={system} onClick={() => handleUnitSystemChange(system)} className={`py-2 px-2 font-medium ${unitSystem === system ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`} aria-pressed={unitSystem === system}>{label}</button>)}
+                        </div>
+                        <button onClick={() => setIsBackupModalOpen(true)} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Backup</button>
+                        {user.isLocal ? <span className="py-2 px-3 rounded-md text-xs font-medium text-gray-600 bg-gray-200" title="Data is saved in this browser only">Local mode</span> : (
+                            <>
+                                <button onClick={() => setIsHouseholdModalOpen(true)} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">{isHouseholdMember ? household.name : 'Household'}</button>
+                                <button onClick={handleLogout} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500">Logout</button>
+                            </>
+                        )}
+                    </div>
+                </header>
+                {error && ( <div className={`p-4 mb-6 rounded-lg text-center ${typeof error === 'object' && error.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`} role="alert">{typeof error === 'string' ? error : error.message}{error.onUndo && <button onClick={() => { error.onUndo(); setError(null); }} className="ml-3 font-semibold underline hover:no-underline">Undo</button>}</div> )}
+                <div className="space-y-8">
+                    {!selectedRecipe && recipes.length === 0 && ( <FindRecipeSection onFindRecipes={findRecipes} leftovers={ingredients.filter(isLeftover)} onEatLeftover={handleEatLeftover} useLeftovers={useLeftovers} setUseLeftovers={setUseLeftovers} isBudgetFriendly={isBudgetFriendly} setIsBudgetFriendly={setIsBudgetFriendly} dietaryProfile={dietaryProfile} onEditDietaryProfile={() => setIsDietaryModalOpen(true)} preferences={preferences} setPreferences={setPreferences} mealType={mealType} setMealType={setMealType} hasIngredients={ingredients.length > 0} selectedTags={selectedTags} setSelectedTags={setSelectedTags} maxMissingIngredients={maxMissingIngredients} setMaxMissingIngredients={setMaxMissingIngredients} suggestionCount={suggestionCount} setSuggestionCount={setSuggestionCount} isGenerating={generation !== null} /> )}
+                    {renderMainContent()}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Auth & Layout Components ---
+
+const AuthScreen = ({ onAuth, view, setView, error, setError }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const handleSubmit = (e) => { e.preventDefault(); onAuth(view, email, password); };
+    const toggleView = () => { setError(null); setView(v => v === 'login' ? 'register' : 'login'); };
+    return (
+        <div className="bg-gray-50 min-h-screen flex flex-col items-center justify-center p-4">
+            <div className="text-center mb-8"><h1 className="text-4xl md:text-5xl font-bold text-gray-900">Fridge Forager</h1><p className="text-gray-600 mt-2">Your personal kitchen assistant</p></div>
+            <div className="w-full max-w-md bg-white rounded-xl shadow-md border border-gray-200 p-8">
+                <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">{view === 'login' ? 'Welcome Back!' : 'Create Your Account'}</h2>
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <div><label htmlFor="email" className="block text-sm font-medium text-gray-700">Email Address</label><input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required /></div>
+                    <div><label htmlFor="password"className="block text-sm font-medium text-gray-700">Password</label><input type="password" id="password" value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required /></div>
+                    {error && (<p className="text-sm text-red-600 text-center">{error}</p>)}
+                    <button type="submit" className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">{view === 'login' ? 'Login' : 'Register'}</button>
+                </form>
+                <p className="mt-6 text-center text-sm text-gray-600">{view === 'login' ? "Don't have an account?" : "Already have an account?"}<button onClick={toggleView} className="font-medium text-indigo-600 hover:text-indigo-500 ml-1">{view === 'login' ? 'Register here' : 'Login here'}</button></p>
+            </div>
+        </div>
+    );
+};
+
+const cuisineTags = ['American', 'Italian', 'Mexican', 'Asian', 'Indian', 'Mediterranean', 'French', 'Chinese', 'Japanese', 'Thai', 'Greek', 'Spanish'];
+const styleTags = ['Healthy', 'Comfort Food', 'Quick & Easy', 'Low-Carb', 'Vegetarian', 'Vegan', 'Gluten-Free', 'Grilling', 'Baking', 'Slow Cooker'];
+
+const FindRecipeSection = ({ onFindRecipes, leftovers, onEatLeftover, useLeftovers, setUseLeftovers, isBudgetFriendly, setIsBudgetFriendly, dietaryProfile, onEditDietaryProfile, preferences, setPreferences, mealType, setMealType, hasIngredients, selectedTags, setSelectedTags, maxMissingIngredients, setMaxMissingIngredients, suggestionCount, setSuggestionCount, isGenerating }) => {
+    const mealTypes = ['Any', 'Breakfast', 'Lunch', 'Dinner', 'Snack'];
+
+    const handleTagClick = (tag) => {
+        setSelectedTags(prev => 
+            prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]
+        );
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-2">Find a Recipe</h2>
+            <p className="text-sm text-gray-500 mb-4">Help guide the AI by selecting tags for cuisines or food styles you're in the mood for.</p>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4 p-3 rounded-lg bg-gray-50 border text-sm">
+                <span className="text-gray-700"><span className="font-medium">Always applied:</span> {summarizeDietaryProfile(dietaryProfile).join(', ') || 'no dietary restrictions'}</span>
+                <button onClick={onEditDietaryProfile} className="text-indigo-600 hover:text-indigo-800 font-semibold">Edit dietary profile</button>
+            </div>
+            {leftovers.length > 0 && (
+                <div className="mb-4 p-3 rounded-lg bg-orange-50 border border-orange-200 text-sm">
+                    <h3 className="font-semibold text-orange-900 mb-2">Eat leftovers instead?</h3>
+                    <div className="space-y-1">{leftovers.map(leftover => (
+                        <div key={leftover.id} className="flex items-center justify-between gap-2">
+                            <span className="text-orange-900">{leftover.leftover.recipeName} <span className="text-orange-700">· {formatQuantity(leftover.quantity)} serving{leftover.quantity === 1 ? '' : 's'}, {describeExpiry(leftover).toLowerCase()}</span></span>
+                            <button onClick={() => onEatLeftover(leftover)} className="text-indigo-600 hover:text-indigo-800 font-semibold whitespace-nowrap">Eat a serving</button>
+                        </div>
+                    ))}</div>
+                    <label className="flex items-center gap-2 mt-2 text-orange-900"><input type="checkbox" checked={useLeftovers} onChange={(e) => setUseLeftovers(e.target.checked)} className="rounded text-indigo-600 focus:ring-indigo-500" /> Let new recipes reuse these leftovers</label>
+                </div>
+            )}
+            <div className="space-y-4">
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">What meal are you making?</h3>
+                    <div className="flex flex-wrap gap-2">
+                        {mealTypes.map((type) => (<button key={type} onClick={() => setMealType(type.toLowerCase())} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ mealType === type.toLowerCase() ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{type}</button>))}
+                    </div>
+                </div>
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Cuisines</h3>
+                    <div className="flex flex-wrap gap-2">
+                        {cuisineTags.map((tag) => (<button key={tag} onClick={() => handleTagClick(tag)} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ selectedTags.includes(tag) ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{tag}</button>))}
+                    </div>
+                </div>
+                 <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Food Styles</h3>
+                    <div className="flex flex-wrap gap-2">
+                        {styleTags.map((tag) => (<button key={tag} onClick={() => handleTagClick(tag)} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ selectedTags.includes(tag) ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{tag}</button>))}
+                    </div>
+                </div>
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Missing ingredients allowed</h3>
+                    <div className="flex flex-wrap gap-2">
+                        {[0, 1, 2, 3].map((count) => (<button key={count} onClick={() => setMaxMissingIngredients(count)} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ maxMissingIngredients === count ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{count === 0 ? 'Pantry only' : `Up to ${count}`}</button>))}
+                    </div>
+                </div>
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Number of suggestions</h3>
+                    <div className="flex flex-wrap gap-2">
+                        {[1, 2, 3, 4, 5].map((count) => (<button key={count} onClick={() => setSuggestionCount(count)} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ suggestionCount === count ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{count}</button>))}
+                    </div>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={isBudgetFriendly} onChange={(e) => setIsBudgetFriendly(e.target.checked)} className="rounded text-indigo-600 focus:ring-indigo-500" />
+                    <span><span className="font-medium">Budget-friendly</span> <span className="text-gray-500">— favor cheaper ingredients, using the prices you've recorded</span></span>
+                </label>
+                <div>
+                     <label htmlFor="preferences" className="block text-sm font-medium text-gray-700 mb-2">Other Preferences (optional)</label>
+                     <input type="text" id="preferences" name="preferences" value={preferences} onChange={(e) => setPreferences(e.target.value)} placeholder="e.g., spicy, no mushrooms" className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                </div>
+            </div>
+            <div className="mt-6"><button onClick={onFindRecipes} disabled={!hasIngredients || isGenerating} className="w-full flex-shrink-0 flex justify-center items-center py-3 px-6 border border-transparent rounded-md shadow-sm text-lg font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400 disabled:cursor-not-allowed">Find Recipes!</button></div>
+        </div>
+    );
+};
+
+const DietaryProfileModal = ({ profile, onSave, onCancel }) => {
+    const [allergies, setAllergies] = useState(profile.allergies);
+    const [diets, setDiets] = useState(profile.diets);
+    const [exclusions, setExclusions] = useState(profile.exclusions.join(', '));
+    const [householdSize, setHouseholdSize] = useState(profile.householdSize ? String(profile.householdSize) : '');
+    const toggle = (setter, id) => setter(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    const pillClasses = (isSelected) => `px-3 py-1 text-sm font-medium rounded-full transition-colors ${isSelected ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300'}`;
+
+    const handleSave = () => {
+        onSave({
+            allergies,
+            diets,
+            exclusions: exclusions.split(',').map(term => term.trim().toLowerCase()).filter(Boolean),
+            householdSize: parseInt(householdSize, 10) > 0 ? parseInt(householdSize, 10) : null,
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Dietary Profile</h2>
+                    <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+                </div>
+                <p className="text-gray-600 mb-4">Applied to every recipe search. Suggestions that use an allergen or excluded food are removed before you see them.</p>
+                <div className="flex-grow overflow-y-auto space-y-4 pr-2">
+                    <div>
+                        <h3 className="text-sm font-medium text-gray-700 mb-2">Allergies</h3>
+                        <div className="flex flex-wrap gap-2">{allergenOptions.map(id => <button key={id} onClick={() => toggle(setAllergies, id)} className={pillClasses(allergies.includes(id))}>{foodGroups[id].label}</button>)}</div>
+                    </div>
+                    <div>
+                        <h3 className="text-sm font-medium text-gray-700 mb-2">Diet</h3>
+                        <div className="flex flex-wrap gap-2">{Object.entries(dietOptions).map(([id, { label }]) => <button key={id} onClick={() => toggle(setDiets, id)} className={pillClasses(diets.includes(id))}>{label}</button>)}</div>
+                    </div>
+                    <div>
+                        <label htmlFor="exclusions" className="block text-sm font-medium text-gray-700 mb-2">Never use</label>
+                        <input type="text" id="exclusions" value={exclusions} onChange={(e) => setExclusions(e.target.value)} placeholder="e.g., mushrooms, cilantro" className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                    </div>
+                    <div>
+                        <label htmlFor="household-size" className="block text-sm font-medium text-gray-700 mb-2">People you usually cook for</label>
+                        <input type="number" id="household-size" min="1" value={householdSize} onChange={(e) => setHouseholdSize(e.target.value)} placeholder="e.g., 2" className="block w-32 px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                    </div>
+                </div>
+                <div className="mt-6 flex justify-end gap-3">
+                    <button onClick={onCancel} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>
+                    <button onClick={handleSave} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">Save Profile</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const PantrySection = ({ ingredients, unitSystem, ledger, priceHistory, staples, onUndo, onDelete, onAdd, onAddMany, onUpdate, onMove, onSaveStaple, onRemoveStaple, onRestockStaples, isCollapsed, setIsCollapsed }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [stapleEditingId, setStapleEditingId] = useState(null);
+    const [entryMode, setEntryMode] = useState('single');
+    const [sortOrder, setSortOrder] = useState('alpha');
+    const [ledgerFilter, setLedgerFilter] = useState(null);
+    const [search, setSearch] = useState('');
+    const [locationFilter, setLocationFilter] = useState('all');
+    const [categoryFilter, setCategoryFilter] = useState('all');
+    const [groupBy, setGroupBy] = useState('none');
+
+    const lowStaples = getLowStaples(staples, ingredients);
+    const findStaple = (ing) => staples.find(staple => staple.key === normalizeIngredientName(ing.name));
+    const isLowStaple = (staple) => lowStaples.some(low => low.staple.key === staple.key);
+    const leftovers = ingredients.filter(isLeftover).sort((a, b) => (a.bestBy || 0) - (b.bestBy || 0));
+    const stock = ingredients.filter(ing => !isLeftover(ing));
+    const searchTerm = search.trim().toLowerCase();
+    const matchesFilters = (ing) => (locationFilter === 'all' || getStorageLocation(ing) === locationFilter)
+        && (categoryFilter === 'all' || getFoodCategory(ing) === categoryFilter)
+        && (!searchTerm || ing.name.toLowerCase().includes(searchTerm) || normalizeIngredientName(ing.name).includes(normalizeIngredientName(searchTerm)));
+    const sortedIngredients = stock.filter(matchesFilters).sort((a, b) => {
+        if (sortOrder === 'date') {
+            return (a.createdAt || 0) - (b.createdAt || 0);
+        }
+        if (sortOrder === 'expiry') {
+            return (a.bestBy || Infinity) - (b.bestBy || Infinity) || a.name.localeCompare(b.name);
+        }
+        return a.name.localeCompare(b.name);
+    });
+
+    const expiryGroups = [
+        { status: 'expired', title: 'Expired', className: 'text-red-700' },
+        { status: 'soon', title: 'Expiring Soon', className: 'text-amber-700' },
+        { status: 'fresh', title: 'Fresh', className: 'text-green-700' },
+        { status: 'none', title: 'No Best-By Date', className: 'text-gray-500' },
+    ].map(group => ({ ...group, items: sortedIngredients.filter(ing => getExpiryStatus(ing) === group.status) })).filter(group => group.items.length > 0);
+    const labelledGroups = (labels, getKey) => Object.entries(labels)
+        .map(([key, title]) => ({ status: key, title, className: 'text-gray-600', items: sortedIngredients.filter(ing => getKey(ing) === key) }))
+        .filter(group => group.items.length > 0);
+    const ingredientGroups = groupBy === 'location' ? labelledGroups(storageLocationLabels, getStorageLocation)
+        : groupBy === 'category' ? labelledGroups(foodCategoryLabels, getFoodCategory)
+        : sortOrder === 'expiry' ? expiryGroups : null;
+
+    const expiryBadgeClasses = { expired: 'bg-red-100 text-red-700', soon: 'bg-amber-100 text-amber-800', fresh: 'text-gray-500' };
+
+    const renderIngredient = (ing) => {
+        const staple = findStaple(ing);
+        return (
+            <div key={ing.id}>
+                {editingId === ing.id ? (
+                    <IngredientForm
+                        initialData={ing}
+                        onSave={(data) => { onUpdate(ing.id, data); setEditingId(null); }}
+                        onCancel={() => setEditingId(null)}
+                        isEditing={true}
+                    />
+                ) : (
+                    <div className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border">
+                        <div>
+                            <span className="font-medium text-gray-700">{ing.name}</span>
+                            {ing.createdAt && <p className="text-xs text-gray-500">Added: {new Date(ing.createdAt).toLocaleDateString(undefined, { year: '2-digit', month: '2-digit', day: '2-digit' })}{ing.addedBy && ` by ${ing.addedBy.name}`}</p>}
+                            {ing.bestBy && <p className={`text-xs inline-block rounded px-1 ${expiryBadgeClasses[getExpiryStatus(ing)]}`}>{describeExpiry(ing)}</p>}
+                            <p className="text-xs inline-block rounded px-1 mr-1 bg-gray-200 text-gray-600">{foodCategoryLabels[getFoodCategory(ing)]}</p>
+                            {staple && <p className={`text-xs inline-block rounded px-1 ml-1 ${isLowStaple(staple) ? 'bg-red-100 text-red-700' : 'bg-indigo-50 text-indigo-700'}`}>{isLowStaple(staple) ? 'Low stock' : 'Staple'} · min {staple.minQuantity} {staple.unit}</p>}
+                        </div>
+                        <div className="flex items-center space-x-3">
+                            <span className="text-gray-600">{formatAmount(ing.quantity, ing.unit, unitSystem)}</span>
+                            <select value={getStorageLocation(ing)} onChange={(e) => onMove(ing, e.target.value)} className="text-xs border border-gray-300 rounded-md py-1 pl-1 pr-6 bg-white" aria-label={`Storage location of ${ing.name}`}>{storageLocations.map(location => <option key={location} value={location}>{storageLocationLabels[location]}</option>)}</select>
+                            <button onClick={() => setStapleEditingId(stapleEditingId === ing.id ? null : ing.id)} className={`text-xs font-semibold ${staple ? 'text-indigo-600 hover:text-indigo-800' : 'text-gray-400 hover:text-gray-600'}`} aria-label={`Staple settings for ${ing.name}`}>Min</button>
+                            <button onClick={() => setLedgerFilter(normalizeIngredientName(ing.name))} className="text-gray-500 hover:text-gray-700" aria-label={`History for ${ing.name}`}><ClockIcon /></button>
+                            <button onClick={() => setEditingId(ing.id)} className="text-blue-500 hover:text-blue-700" aria-label={`Edit ${ing.name}`}><EditIcon /></button>
+                            <button onClick={() => onDelete(ing.id)} className="text-red-500 hover:text-red-700" aria-label={`Delete ${ing.name}`}><TrashIcon /></button>
+                        </div>
+                    </div>
+                )}
+                {stapleEditingId === ing.id && <StapleForm ingredient={ing} staple={staple} onSave={(data) => { onSaveStaple(data); setStapleEditingId(null); }} onRemove={(stapleId) => { onRemoveStaple(stapleId); setStapleEditingId(null); }} onCancel={() => setStapleEditingId(null)} />}
+            </div>
+        );
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            {ledgerFilter !== null && <PantryLedgerModal ledger={ledger} priceHistory={priceHistory} ingredientKey={ledgerFilter} onUndo={onUndo} onClose={() => setLedgerFilter(null)} />}
+            <div className="flex justify-between items-center cursor-pointer" onClick={() => setIsCollapsed(!isCollapsed)}>
+                <h2 className="text-2xl font-semibold text-gray-800">Your Pantry</h2>
+                <button className="text-gray-600 hover:text-indigo-600" aria-label="Toggle Pantry"><ChevronDownIcon isCollapsed={isCollapsed} /></button>
+            </div>
+            {!isCollapsed && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-8 pt-6 mt-4 border-t">
+                    <div>
+                        <div className="flex gap-2 mb-4">
+                            <button onClick={() => setEntryMode('single')} className={`px-2 py-1 text-xs rounded-md ${entryMode === 'single' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>One at a time</button>
+                            <button onClick={() => setEntryMode('bulk')} className={`px-2 py-1 text-xs rounded-md ${entryMode === 'bulk' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>Paste a list</button>
+                        </div>
+                        {entryMode === 'single' ? <IngredientForm onSave={onAdd} title="Add Ingredient" /> : <BulkIngredientEntry onSave={onAddMany} />}
+                    </div>
+                    <div>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-semibold text-gray-700">Current Ingredients</h3>
+                            <div className="flex gap-2">
+                                <button onClick={() => setLedgerFilter('')} className="px-2 py-1 text-xs rounded-md bg-gray-200 text-gray-700 hover:bg-gray-300">History</button>
+                                <button onClick={() => setSortOrder('alpha')} className={`px-2 py-1 text-xs rounded-md ${sortOrder === 'alpha' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>A-Z</button>
+                                <button onClick={() => setSortOrder('date')} className={`px-2 py-1 text-xs rounded-md ${sortOrder === 'date' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>Date</button>
+                                <button onClick={() => setSortOrder('expiry')} className={`px-2 py-1 text-xs rounded-md ${sortOrder === 'expiry' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>Expiring</button>
+                            </div>
+                        </div>
+                        {lowStaples.length > 0 && (
+                            <div className="mb-4 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900 space-y-1">
+                                <div className="flex flex-wrap items-center justify-between gap-2">
+                                    <span className="font-semibold">Running low</span>
+                                    <button onClick={onRestockStaples} className="font-semibold text-indigo-600 hover:text-indigo-800">Add to shopping list</button>
+                                </div>
+                                {/* Staples are edited here too, since one that has run out has no pantry row left to edit it from. */}
+                                {lowStaples.map(({ staple, stock }) => (
+                                    <div key={staple.id}>
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span>{stock > 0.001 ? `${staple.name} (${formatQuantity(stock)} of ${staple.minQuantity} ${staple.unit})` : `${staple.name} (out)`}</span>
+                                            <button onClick={() => setStapleEditingId(stapleEditingId === `staple:${staple.id}` ? null : `staple:${staple.id}`)} className="font-semibold text-indigo-600 hover:text-indigo-800">Edit staple</button>
+                                        </div>
+                                        {stapleEditingId === `staple:${staple.id}` && <StapleForm staple={staple} onSave={(data) => { onSaveStaple(data); setStapleEditingId(null); }} onRemove={(stapleId) => { onRemoveStaple(stapleId); setStapleEditingId(null); }} onCancel={() => setStapleEditingId(null)} />}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        {leftovers.length > 0 && (
+                            <div className="mb-4 p-3 rounded-lg bg-orange-50 border border-orange-200 space-y-2">
+                                <h4 className="text-sm font-semibold uppercase tracking-wide text-orange-800">Leftovers ({leftovers.length})</h4>
+                                {leftovers.map(leftover => (
+                                    <div key={leftover.id} className="flex items-center justify-between bg-white p-3 rounded-lg border border-orange-200">
+                                        <div>
+                                            <span className="font-medium text-gray-800">{leftover.leftover.recipeName}</span>
+                                            <p className="text-xs text-gray-500">Cooked {new Date(leftover.leftover.cookedAt).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}{leftover.addedBy && ` by ${leftover.addedBy.name}`}</p>
+                                            {leftover.bestBy && <p className={`text-xs inline-block rounded px-1 ${expiryBadgeClasses[getExpiryStatus(leftover)]}`}>{describeExpiry(leftover)}</p>}
+                                        </div>
+                                        <div className="flex items-center space-x-3">
+                                            <span className="text-gray-600">{formatQuantity(leftover.quantity)} serving{leftover.quantity === 1 ? '' : 's'}</span>
+                                            <button onClick={() => setEditingId(leftover.id)} className="text-blue-500 hover:text-blue-700" aria-label={`Edit ${leftover.name}`}><EditIcon /></button>
+                                            <button onClick={() => onDelete(leftover.id)} className="text-red-500 hover:text-red-700" aria-label={`Delete ${leftover.name}`}><TrashIcon /></button>
+                                        </div>
+                                    </div>
+                                ))}
+                                {editingId && leftovers.some(l => l.id === editingId) && renderIngredient(leftovers.find(l => l.id === editingId))}
+                            </div>
+                        )}
+                        {stock.length > 0 && (
+                            <div className="mb-4 space-y-2">
+                                <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search your pantry" className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" aria-label="Search your pantry" />
+                                <div className="flex flex-wrap items-center gap-2">
+                                    {['all', ...storageLocations].map(location => (
+                                        <button key={location} onClick={() => setLocationFilter(location)} className={`px-2 py-1 text-xs rounded-md ${locationFilter === location ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>{location === 'all' ? 'All' : storageLocationLabels[location]} ({location === 'all' ? stock.length : stock.filter(ing => getStorageLocation(ing) === location).length})</button>
+                                    ))}
+                                    <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)} className="text-xs border border-gray-300 rounded-md py-1 pl-2 pr-7 bg-white" aria-label="Filter by category">
+                                        <option value="all">All categories</option>
+                                        {Object.entries(foodCategoryLabels).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                    <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="text-xs border border-gray-300 rounded-md py-1 pl-2 pr-7 bg-white" aria-label="Group by">
+                                        <option value="none">No grouping</option>
+                                        <option value="location">Group by location</option>
+                                        <option value="category">Group by category</option>
+                                    </select>
+                                </div>
+                            </div>
+                        )}
+                        {sortedIngredients.length === 0 ? <p className="text-gray-500 text-center py-8">{stock.length > 0 ? 'Nothing matches those filters.' : leftovers.length > 0 ? 'Nothing else in your pantry.' : 'Your pantry is empty.'}</p> : (
+                            <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
+                                {ingredientGroups ? ingredientGroups.map(group => (
+                                    <div key={group.status} className="space-y-3">
+                                        <h4 className={`text-sm font-semibold uppercase tracking-wide ${group.className}`}>{group.title} ({group.items.length})</h4>
+                                        {group.items.map(renderIngredient)}
+                                    </div>
+                                )) : sortedIngredients.map(renderIngredient)}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Sets up or edits a staple; `ingredient` is the pantry row it was opened from, if any.
+const StapleForm = ({ ingredient, staple, onSave, onRemove, onCancel }) => {
+    const [minQuantity, setMinQuantity] = useState(staple ? String(staple.minQuantity) : '');
+    const unit = staple ? staple.unit : ingredient.unit;
+    const inputId = `staple-${ingredient?.id || staple.id}`;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ name: staple ? staple.name : ingredient.name, minQuantity: parseFloat(minQuantity), unit });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 mt-1 p-3 rounded-lg border border-indigo-200 bg-indigo-50 text-sm">
+            <label htmlFor={inputId} className="text-gray-700">Always keep at least</label>
+            <input type="number" id={inputId} step="any" min="0" value={minQuantity} onChange={(e) => setMinQuantity(e.target.value)} className="w-20 px-2 py-1 border border-gray-300 rounded-md" />
+            <span className="text-gray-700">{unit}</span>
+            <button type="submit" disabled={!(parseFloat(minQuantity) > 0)} className="py-1 px-3 border border-transparent rounded-md shadow-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Save</button>
+            {staple && <button type="button" onClick={() => onRemove(staple.id)} className="py-1 px-3 text-red-600 hover:text-red-800">Not a staple</button>}
+            <button type="button" onClick={onCancel} className="py-1 px-3 text-gray-600 hover:text-gray-800">Cancel</button>
+        </form>
+    );
+};
+
+const PantryLedgerModal = ({ ledger, priceHistory, ingredientKey, onUndo, onClose }) => {
+    const [filter, setFilter] = useState(ingredientKey);
+    const sortedLedger = [...ledger].sort((a, b) => b.createdAt - a.createdAt);
+    // Changes can only be undone newest-first, so later edits are never silently overwritten.
+    const undoableId = sortedLedger.find(entry => !entry.undoneAt)?.id;
+    const ingredientKeys = [...new Set(ledger.flatMap(entry => entry.changes.map(change => normalizeIngredientName(change.name))))].sort();
+    const visibleEntries = filter ? sortedLedger.filter(entry => entry.changes.some(change => normalizeIngredientName(change.name) === filter)) : sortedLedger;
+    const prices = filter ? getIngredientPrices(priceHistory, filter) : [];
+
+    const describeChange = ({ before, after, unit }) => {
+        if (!before) return `added ${after.quantity} ${unit}`;
+        if (!after) return `removed (had ${before.quantity} ${unit})`;
+        return `${before.quantity} → ${after.quantity} ${unit}`;
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Pantry History</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+                </div>
+                <select value={filter} onChange={(e) => setFilter(e.target.value)} className="mb-4 px-2 py-1 border border-gray-300 rounded-md">
+                    <option value="">All ingredients</option>
+                    {ingredientKeys.map(key => <option key={key} value={key}>{key}</option>)}
+                </select>
+                <div className="flex-grow overflow-y-auto space-y-3 pr-2">
+                    {prices.length > 0 && (
+                        <div className="p-3 rounded-lg border border-emerald-200 bg-emerald-50">
+                            <h3 className="font-medium text-emerald-900">Prices paid</h3>
+                            <ul className="mt-1 text-sm text-emerald-800">
+                                {prices.map(record => (
+                                    <li key={record.id} className="flex justify-between gap-2">
+                                        <span>{new Date(record.paidAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}{record.paidBy && ` · ${record.paidBy.name}`}</span>
+                                        <span>{formatPrice(record.price)}{record.quantity > 0 && ` for ${formatQuantity(record.quantity)} ${record.unit}`}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    {visibleEntries.length === 0 ? <p className="text-gray-500">No pantry changes recorded yet.</p> : visibleEntries.map(entry => (
+                        <div key={entry.id} className={`p-3 rounded-lg border ${entry.undoneAt ? 'bg-gray-100 text-gray-400' : 'bg-gray-50'}`}>
+                            <div className="flex justify-between items-center">
+                                <span className={`font-medium ${entry.undoneAt ? 'line-through' : 'text-gray-800'}`}>{entry.description}</span>
+                                {entry.id === undoableId && <button onClick={() => onUndo(entry)} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Undo</button>}
+                            </div>
+                            <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}{entry.by && ` · ${entry.by.name}`}{entry.undoneAt && ' · undone'}</p>
+                            <ul className="mt-1 text-sm text-gray-600">
+                                {entry.changes.filter(change => !filter || normalizeIngredientName(change.name) === filter).map((change, index) => <li key={index}>{change.name}: {describeChange(change)}</li>)}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const HistorySection = ({ favoritedRecipes, recentlyCooked, onCookAgain, onFavorite, onImport, onShare, onEdit, onReview, favoritedIds }) => (
+     <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <FavoritedRecipesList recipes={favoritedRecipes} onCookAgain={onCookAgain} onFavorite={onFavorite} onImport={onImport} onShare={onShare} onEdit={onEdit} />
+        <RecentlyCookedList recipes={recentlyCooked} onFavorite={onFavorite} onReview={onReview} favoritedIds={favoritedIds} />
+     </div>
+);
+
+// Paste a grocery haul, check the parsed rows, and add them all at once.
+const BulkIngredientEntry = ({ onSave }) => {
+    const [text, setText] = useState('');
+    const [rows, setRows] = useState(null);
+
+    const handlePreview = () => {
+        setRows(text.split('\n').map(parseIngredientLine).filter(Boolean).map((row, index) => ({ ...row, key: index, bestBy: toDateInputValue(getDefaultBestBy(row.name)) })));
+    };
+    const handleRowChange = (key, field, value) => setRows(prev => prev.map(row => (row.key === key ? { ...row, [field]: value, needsReview: false } : row)));
+    const validRows = (rows || []).filter(row => row.name.trim() && parseFloat(row.quantity) > 0);
+
+    const handleSave = async () => {
+        const saved = await onSave(validRows.map(row => ({ name: row.name.trim(), quantity: parseFloat(row.quantity), unit: row.unit.trim(), bestBy: fromDateInputValue(row.bestBy) })));
+        // Keep the reviewed rows if the write failed so nothing has to be pasted again.
+        if (!saved) return;
+        setText('');
+        setRows(null);
+    };
+
+    return (
+        <div>
+            <h3 className="text-xl font-semibold text-gray-700 mb-4">Paste a List</h3>
+            {rows === null ? (
+                <div className="space-y-4">
+                    <textarea value={text} onChange={(e) => setText(e.target.value)} rows={8} placeholder={"2 lbs chicken breast\na dozen eggs\n1/2 cup parsley, chopped\n3x cans of tomatoes"} className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm font-mono" />
+                    <button onClick={handlePreview} disabled={!text.trim()} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Preview</button>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    <p className="text-sm text-gray-500">Check what we read. Rows highlighted in amber had no amount, so they default to 1.</p>
+                    <div className="space-y-2 max-h-80 overflow-y-auto pr-2">
+                        {rows.map(row => (
+                            <div key={row.key} className={`grid grid-cols-12 gap-1 items-center p-2 rounded-lg border ${row.needsReview ? 'bg-amber-50 border-amber-300' : 'bg-gray-50'}`}>
+                                <input type="text" value={row.name} onChange={(e) => handleRowChange(row.key, 'name', e.target.value)} className="col-span-4 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Name" />
+                                <input type="number" step="any" min="0" value={row.quantity} onChange={(e) => handleRowChange(row.key, 'quantity', e.target.value)} className="col-span-2 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label={`Quantity of ${row.name}`} />
+                                <input type="text" list="bulk-units" value={row.unit} onChange={(e) => handleRowChange(row.key, 'unit', e.target.value)} className="col-span-2 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label={`Unit for ${row.name}`} />
+                                <input type="date" value={row.bestBy} onChange={(e) => handleRowChange(row.key, 'bestBy', e.target.value)} className="col-span-3 px-1 py-1 border border-gray-300 rounded-md text-xs" aria-label={`Best-by date for ${row.name}`} />
+                                <button onClick={() => setRows(prev => prev.filter(r => r.key !== row.key))} className="col-span-1 flex justify-center text-red-500 hover:text-red-700" aria-label={`Remove ${row.name}`}><TrashIcon /></button>
+                            </div>
+                        ))}
+                        <datalist id="bulk-units">{typedUnitSuggestions.map(u => <option key={u} value={u} />)}</datalist>
+                    </div>
+                    <div className="flex gap-2">
+                        <button onClick={handleSave} disabled={validRows.length === 0} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Add {validRows.length} Ingredient{validRows.length === 1 ? '' : 's'}</button>
+                        <button onClick={() => setRows(null)} className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Back</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const IngredientForm = ({ onSave, title, initialData = { name: '', quantity: '', unit: '' }, isEditing = false, onCancel }) => {
+    const [ingredient, setIngredient] = useState(initialData);
+    const [unit, setUnit] = useState(initialData.unit && !pantryUnits.includes(initialData.unit) ? 'other' : initialData.unit || 'g');
+    const [bestBy, setBestBy] = useState(toDateInputValue(initialData.bestBy));
+    const [isBestByTouched, setIsBestByTouched] = useState(Boolean(initialData.bestBy));
+    const [category, setCategory] = useState(initialData.name ? getFoodCategory(initialData) : 'other');
+    const [location, setLocation] = useState(initialData.name ? getStorageLocation(initialData) : 'cupboard');
+    const [isPlacementTouched, setIsPlacementTouched] = useState(Boolean(initialData.category || initialData.location));
+    const commonUnits = [...pantryUnits, 'other'];
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setIngredient(prev => ({ ...prev, [name]: value }));
+        // Suggest a best-by date from the ingredient's category until the user picks one themselves.
+        if (name === 'name' && !isBestByTouched) setBestBy(toDateInputValue(getDefaultBestBy(value)));
+        if (name === 'name' && !isPlacementTouched) {
+            setCategory(getFoodCategory({ name: value }));
+            setLocation(getStorageLocation({ name: value }));
+        }
+    };
+
+    const handlePlacementChange = (setter) => (e) => {
+        setter(e.target.value);
+        setIsPlacementTouched(true);
+    };
+
+    const handleBestByChange = (e) => {
+        setBestBy(e.target.value);
+        setIsBestByTouched(true);
+    };
+
+    const handleUnitChange = (e) => {
+        const { value } = e.target;
+        setUnit(value);
+        if (value !== 'other') {
+            setIngredient(prev => ({ ...prev, unit: value }));
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!ingredient.name.trim() || !ingredient.quantity) return;
+        onSave({ ...ingredient, unit: unit === 'other' ? ingredient.unit : unit, bestBy: fromDateInputValue(bestBy), category, location });
+        if (!isEditing) {
+            setIngredient({ name: '', quantity: '', unit: '' });
+            setUnit('g');
+            setBestBy('');
+            setIsBestByTouched(false);
+            setCategory('other');
+            setLocation('cupboard');
+            setIsPlacementTouched(false);
+        }
+    };
+
+    return (
+        <div className={isEditing ? "bg-indigo-50 p-4 rounded-lg" : ""}>
+            <h3 className="text-xl font-semibold text-gray-700 mb-4">{title}</h3>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div><label htmlFor="name" className="block text-sm font-medium text-gray-700">Ingredient Name</label><input type="text" id="name" name="name" value={ingredient.name} onChange={handleChange} placeholder="e.g., Flour" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" required /></div>
+                <div className="grid grid-cols-2 gap-4">
+                    <div><label htmlFor="quantity" className="block text-sm font-medium text-gray-700">Quantity</label><input type="number" id="quantity" name="quantity" value={ingredient.quantity} onChange={handleChange} placeholder="e.g., 500" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" required /></div>
+                    <div><label htmlFor="unit" className="block text-sm font-medium text-gray-700">Unit</label><select id="unit" name="unit-select" value={unit} onChange={handleUnitChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm">{commonUnits.map(u => <option key={u} value={u}>{u}</option>)}</select></div>
+                </div>
+                {unit === 'other' && <div><label htmlFor="custom-unit" className="block text-sm font-medium text-gray-700">Custom Unit</label><input type="text" id="custom-unit" name="unit" value={ingredient.unit} onChange={handleChange} placeholder="e.g., bunch" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" /></div>}
+                <div className="grid grid-cols-2 gap-4">
+                    <div><label htmlFor="location" className="block text-sm font-medium text-gray-700">Stored In</label><select id="location" value={location} onChange={handlePlacementChange(setLocation)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm">{storageLocations.map(l => <option key={l} value={l}>{storageLocationLabels[l]}</option>)}</select></div>
+                    <div><label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label><select id="category" value={category} onChange={handlePlacementChange(setCategory)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm">{Object.entries(foodCategoryLabels).map(([key, label]) => <option key={key} value={key}>{label}</option>)}</select></div>
+                </div>
+                <div><label htmlFor="best-by" className="block text-sm font-medium text-gray-700">Best By (optional)</label><input type="date" id="best-by" name="bestBy" value={bestBy} onChange={handleBestByChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm" /></div>
+                <div className="flex gap-2">
+                    <button type="submit" className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">{isEditing ? 'Save' : <><PlusIcon /> Add Ingredient</>}</button>
+                    {isEditing && <button type="button" onClick={onCancel} className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>}
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const shortfallLineClasses = { ok: 'text-gray-600', short: 'text-amber-700', missing: 'text-red-700', incompatible: 'text-amber-700', ambiguous: 'text-gray-600' };
+
+// Estimated cost from recorded prices; ingredients without a price are left out of the total and said so.
+const CostEstimate = ({ cost, servings, showMissing = false }) => {
+    if (cost.total === null) return showMissing ? <p className="text-sm text-gray-500 mt-1 mb-3">Record prices when moving groceries to your pantry to see what this recipe costs.</p> : null;
+    return (
+        <p className={`text-sm text-gray-700 mt-1 ${showMissing ? 'mb-3' : ''}`}>
+            <span className="font-semibold text-emerald-700">≈ {formatPrice(cost.total)}</span>
+            {servings > 0 && <span className="text-gray-500"> · {formatPrice(cost.total / servings)} per serving</span>}
+            {cost.unpriced.length > 0 && <span className="text-gray-500"> · {showMissing ? `no price yet for ${cost.unpriced.join(', ')}` : `${cost.unpriced.length} ingredient${cost.unpriced.length === 1 ? '' : 's'} not priced`}</span>}
+        </p>
+    );
+};
+const ShortfallSummary = ({ report, onAddShortfall }) => {
+    const buyable = getBuyableShortfall(report);
+    if (buyable.length === 0) return <p className="text-sm text-green-700 mt-2">You have everything for this recipe.</p>;
+    return (
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+            <span className="text-sm text-red-700">Missing or short: {buyable.map(line => line.needed.name).join(', ')}</span>
+            <button onClick={(e) => { e.stopPropagation(); onAddShortfall(); }} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Add to shopping list</button>
+        </div>
+    );
+};
+
+// Warnings for recipes that mention something the dietary profile rules out.
+const DietaryWarnings = ({ conflicts }) => (conflicts.length === 0 ? null : (
+    <ul className="mt-2 text-sm text-amber-800">
+        {conflicts.map((c, index) => <li key={index}>&#9888; {c.where === 'instructions' ? 'The instructions mention' : 'Uses'} {c.term} ({c.reason})</li>)}
+    </ul>
+));
+
+const RecipeList = ({ recipes, dietaryConflicts, reports, costs, generation, onSelect, onAddShortfall, onReplace, onMoreLikeThis, onCancel, onBack }) => (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+        <div className="flex justify-between items-center mb-4"><h2 className="text-2xl font-semibold text-gray-800">Recipe Suggestions</h2><button onClick={onBack} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">Back</button></div>
+        <div className="space-y-4">
+            {recipes.map((recipe, index) => {
+                const isReplacing = generation?.kind === 'replace' && generation.recipe === recipe;
+                return (
+                    <div key={index} className={`bg-gray-50 p-4 rounded-lg border hover:border-indigo-500 transition-all cursor-pointer ${isReplacing ? 'opacity-60' : ''}`} onClick={() => !isReplacing && onSelect(recipe)}>
+                        <h3 className="text-xl font-bold text-indigo-700">{recipe.recipeName}</h3><p className="text-gray-600 mt-1">{recipe.description}</p><CostEstimate cost={costs[index]} servings={getRecipeServings(recipe)} /><DietaryWarnings conflicts={dietaryConflicts[index]} /><ShortfallSummary report={reports[index]} onAddShortfall={() => onAddShortfall(recipe)} />
+                        <div className="flex flex-wrap items-center gap-4 mt-3 pt-3 border-t text-sm" onClick={(e) => e.stopPropagation()}>
+                            {isReplacing ? (
+                                <><span className="text-gray-500">Replacing...</span><button onClick={onCancel} className="text-red-600 hover:text-red-800 font-semibold">Cancel</button></>
+                            ) : (
+                                <>
+                                    <button onClick={() => onReplace(recipe)} disabled={Boolean(generation)} className="text-indigo-600 hover:text-indigo-800 font-semibold disabled:text-gray-400 disabled:cursor-not-allowed">Replace this one</button>
+                                    <button onClick={() => onMoreLikeThis(recipe)} disabled={Boolean(generation)} className="text-indigo-600 hover:text-indigo-800 font-semibold disabled:text-gray-400 disabled:cursor-not-allowed">More like this</button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+            {generation && generation.kind !== 'replace' && (
+                <div className="flex items-center justify-between gap-4 p-4 rounded-lg border border-dashed border-indigo-300 bg-indigo-50">
+                    <div className="flex items-center gap-3 text-indigo-700"><div className="animate-spin rounded-full h-5 w-5 border-b-2 border-t-2 border-indigo-600"></div><span className="font-medium">{generation.kind === 'search' ? `Writing recipe ${Math.min(recipes.length + 1, generation.count)} of ${generation.count}...` : 'Writing more recipes...'}</span></div>
+                    <button onClick={onCancel} className="py-1 px-3 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>
+                </div>
+            )}
+        </div>
+    </div>
+);
+
+const ServingsStepper = ({ servings, onChange }) => (
+    <div className="inline-flex items-center gap-2 text-sm text-gray-700">
+        <button onClick={() => onChange(Math.max(servings - 1, 1))} disabled={servings <= 1} className="h-7 w-7 rounded-full border border-gray-300 bg-white hover:bg-gray-50 disabled:opacity-40" aria-label="Fewer servings">&minus;</button>
+        <span className="font-medium">{servings} serving{servings === 1 ? '' : 's'}</span>
+        <button onClick={() => onChange(servings + 1)} className="h-7 w-7 rounded-full border border-gray-300 bg-white hover:bg-gray-50" aria-label="More servings">+</button>
+    </div>
+);
+
+const RecipeDetail = ({ recipe, unitSystem, dietaryConflicts, servings, onServingsChange, report, cost, onAddShortfall, onAddToPlan, onShare, onStartCooking, onBack }) => (
+     <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+        <div className="flex justify-between items-start mb-4"><h2 className="text-3xl font-bold text-gray-800">{recipe.recipeName}</h2><div className="flex items-center gap-3"><button onClick={onShare} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Share</button><button onClick={onBack} className="text-gray-500 hover:text-gray-800"><XIcon /></button></div></div>
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-4"><ServingsStepper servings={servings} onChange={onServingsChange} /><AddToPlanForm onAdd={onAddToPlan} /></div>
+        <CostEstimate cost={cost} servings={servings} showMissing />
+        <DietaryWarnings conflicts={dietaryConflicts} />
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="md:col-span-1">
+                <h3 className="text-lg font-semibold mb-2 text-gray-700 border-b pb-2">Ingredients Needed</h3>
+                <ul className="space-y-1">{report.map((line, index) => (
+                    <li key={index} className={shortfallLineClasses[line.status]}>
+                        {formatAmount(line.needed.quantity, line.needed.unit, unitSystem)} {line.needed.name}
+                        {line.status === 'missing' && <span className="text-xs font-semibold ml-1">(not in pantry)</span>}
+                        {line.status === 'short' && <span className="text-xs font-semibold ml-1">(need {formatAmount(line.shortfall, line.needed.unit, unitSystem)} more)</span>}
+                        {line.status === 'incompatible' && <span className="text-xs font-semibold ml-1">(pantry unit doesn't match)</span>}
+                    </li>
+                ))}</ul>
+                <ShortfallSummary report={report} onAddShortfall={onAddShortfall} />
+            </div>
+            <div className="md:col-span-2"><h3 className="text-lg font-semibold mb-2 text-gray-700 border-b pb-2">Instructions</h3><ol className="space-y-2 text-gray-600 list-decimal list-inside">{recipe.instructions.map((step, index) => ( <li key={index}>{step}</li> ))}</ol></div>
+        </div>
+        <div className="mt-8 text-center"><button onClick={onStartCooking} className="py-3 px-8 border border-transparent rounded-md shadow-sm text-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">Cook This!</button></div>
+    </div>
+);
+
+const CookingView = ({ recipe, unitSystem, servings, onServingsChange, onExit, onFinishCooking }) => {
+    const [savedProgress] = useState(() => loadCookingSession() || {});
+    const [viewMode, setViewMode] = useState('steps');
+    const [step, setStep] = useState(() => Math.min(savedProgress.step || 0, recipe.instructions.length - 1));
+    const [timers, setTimers] = useState(savedProgress.timers || []);
+    const [now, setNow] = useState(Date.now());
+    const lastStep = recipe.instructions.length - 1;
+    const highlighted = getStepIngredientIndexes(recipe.instructions[step] || '', recipe.ingredientsNeeded);
+
+    useEffect(() => { saveCookingSession({ step, timers }); }, [step, timers]);
+
+    // Arrow keys move between steps (ignored while typing in a field).
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (viewMode !== 'steps' || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            if (e.key === 'ArrowRight') setStep(s => Math.min(s + 1, lastStep));
+            if (e.key === 'ArrowLeft') setStep(s => Math.max(s - 1, 0));
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [viewMode, lastStep]);
+
+    // Keep the screen on while cooking; the lock is dropped whenever the tab is hidden, so re-request it.
+    useEffect(() => {
+        let wakeLock = null;
+        let cancelled = false;
+        const requestWakeLock = async () => {
+            if (!navigator.wakeLock || document.visibilityState !== 'visible') return;
+            // Often unavailable (battery saver, unsupported browser); the screen just dims as usual then.
+            const lock = await navigator.wakeLock.request('screen').catch(() => null);
+            // The view may have closed while the request was pending.
+            if (cancelled) lock?.release().catch(() => {});
+            else if (lock) wakeLock = lock;
+        };
+        requestWakeLock();
+        document.addEventListener('visibilitychange', requestWakeLock);
+        return () => { cancelled = true; document.removeEventListener('visibilitychange', requestWakeLock); wakeLock?.release().catch(() => {}); };
+    }, []);
+
+    // Tick once a second while any timer is running, and sound the alarm for any that ran out.
+    useEffect(() => {
+        if (!timers.some(t => t.endsAt && !t.firedAt)) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [timers]);
+    useEffect(() => {
+        const due = timers.filter(t => t.endsAt && !t.firedAt && t.endsAt <= now);
+        if (due.length === 0) return;
+        due.forEach(t => playTimerAlert(`${t.label} (step ${t.stepIndex + 1})`));
+        setTimers(prev => prev.map(t => (due.some(d => d.id === t.id) ? { ...t, firedAt: now } : t)));
+    }, [now, timers]);
+
+    const startTimer = ({ label, seconds }, stepIndex) => {
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') Notification.requestPermission();
+        setTimers(prev => [...prev, { id: `${Date.now()}-${prev.length}`, label, stepIndex, endsAt: Date.now() + seconds * 1000, remainingMs: null, firedAt: null }]);
+        setNow(Date.now());
+    };
+    const togglePause = (id) => setTimers(prev => prev.map(t => {
+        if (t.id !== id) return t;
+        return t.endsAt ? { ...t, endsAt: null, remainingMs: t.endsAt - Date.now() } : { ...t, endsAt: Date.now() + t.remainingMs, remainingMs: null };
+    }));
+    const removeTimer = (id) => setTimers(prev => prev.filter(t => t.id !== id));
+
+    const renderTimerButtons = (text, stepIndex) => parseStepDurations(text).map((duration, index) => (
+        <button key={index} onClick={() => startTimer(duration, stepIndex)} className="inline-flex items-center gap-1 mr-2 mt-2 px-3 py-1 text-sm font-medium rounded-full bg-amber-100 text-amber-800 hover:bg-amber-200"><ClockIcon /> Start {formatDuration(duration.seconds)} timer</button>
+    ));
+
+    return (
+        <div className="bg-white min-h-screen p-4 sm:p-6 md:p-8">
+            <div className="max-w-4xl mx-auto">
+                <header className="text-center mb-8 relative">
+                    <button onClick={onExit} className="absolute top-0 left-0 text-sm text-gray-500 hover:text-gray-800">&larr; Exit</button>
+                    <h1 className="text-4xl md:text-5xl font-bold text-gray-900">{recipe.recipeName}</h1><p className="text-gray-600 mt-2">{recipe.description}</p>
+                    <div className="mt-4 flex flex-wrap justify-center items-center gap-4">
+                        <ServingsStepper servings={servings} onChange={onServingsChange} />
+                        <div className="flex gap-2">
+                            <button onClick={() => setViewMode('steps')} className={`px-2 py-1 text-xs rounded-md ${viewMode === 'steps' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>Step by step</button>
+                            <button onClick={() => setViewMode('overview')} className={`px-2 py-1 text-xs rounded-md ${viewMode === 'overview' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>All steps</button>
+                        </div>
+                    </div>
+                </header>
+                {timers.length > 0 && (
+                    <div className="mb-6 flex flex-wrap gap-3" aria-live="polite">
+                        {timers.map(t => {
+                            const remaining = t.endsAt ? Math.max(t.endsAt - now, 0) : t.remainingMs;
+                            return (
+                                <div key={t.id} className={`flex items-center gap-3 px-4 py-2 rounded-lg border ${t.firedAt ? 'bg-red-100 border-red-400 text-red-800 animate-pulse' : 'bg-gray-50'}`}>
+                                    <span className="text-sm">Step {t.stepIndex + 1}: {t.label}</span>
+                                    <span className="font-mono font-bold text-lg">{t.firedAt ? 'Done!' : formatDuration(Math.ceil(remaining / 1000))}</span>
+                                    {!t.firedAt && <button onClick={() => togglePause(t.id)} className="text-sm text-indigo-600 hover:text-indigo-800">{t.endsAt ? 'Pause' : 'Resume'}</button>}
+                                    <button onClick={() => removeTimer(t.id)} className="text-sm text-gray-500 hover:text-gray-800">{t.firedAt ? 'Dismiss' : 'Cancel'}</button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+                    <div className="md:col-span-1 bg-gray-50 p-6 rounded-xl border"><h3 className="text-2xl font-semibold mb-4 text-gray-800">Ingredients</h3><ul className="space-y-2 text-gray-700">{recipe.ingredientsNeeded.map((ing, index) => ( <li key={index} className={`flex items-start rounded px-1 ${viewMode === 'steps' && highlighted.includes(index) ? 'bg-yellow-100 font-semibold text-gray-900' : ''}`}><span className="font-bold mr-2 text-indigo-600">&bull;</span><span>{formatAmount(ing.quantity, ing.unit, unitSystem)} {ing.name}</span></li> ))}</ul></div>
+                    {viewMode === 'steps' ? (
+                        <div className="md:col-span-2 flex flex-col">
+                            <div className="flex justify-between items-center mb-2 text-sm text-gray-500"><span>Step {step + 1} of {recipe.instructions.length}</span><span>Use ← → to move between steps</span></div>
+                            <div className="h-2 bg-gray-200 rounded-full mb-6"><div className="h-2 bg-indigo-600 rounded-full transition-all" style={{ width: `${((step + 1) / recipe.instructions.length) * 100}%` }}></div></div>
+                            <p className="text-2xl leading-relaxed text-gray-800 flex-grow">{recipe.instructions[step]}</p>
+                            <div>{renderTimerButtons(recipe.instructions[step] || '', step)}</div>
+                            <div className="mt-8 flex justify-between">
+                                <button onClick={() => setStep(s => Math.max(s - 1, 0))} disabled={step === 0} className="py-2 px-6 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-40">Previous</button>
+                                {step < lastStep && <button onClick={() => setStep(s => Math.min(s + 1, lastStep))} className="py-2 px-6 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">Next</button>}
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="md:col-span-2"><h3 className="text-2xl font-semibold mb-4 text-gray-800">Instructions</h3><ol className="space-y-4 text-gray-700 leading-relaxed">{recipe.instructions.map((stepText, index) => ( <li key={index} className="flex"><span className="flex-shrink-0 flex items-center justify-center h-8 w-8 rounded-full bg-indigo-600 text-white font-bold mr-4">{index + 1}</span><div><p>{stepText}</p>{renderTimerButtons(stepText, index)}</div></li> ))}</ol></div>
+                    )}
+                </div>
+                {(viewMode === 'overview' || step === lastStep) && <div className="mt-12 text-center"><button onClick={onFinishCooking} className="py-3 px-8 border border-transparent rounded-md shadow-sm text-lg font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500">Finish Cooking & Update Pantry</button></div>}
+            </div>
+        </div>
+    );
+};
+
+const DeductionPreviewModal = ({ recipe, servings, rows, onConfirm, onCancel }) => {
+    const [quantities, setQuantities] = useState(() => rows.map(row => String(row.newQuantity)));
+    const [leftoverServings, setLeftoverServings] = useState('0');
+
+    const handleConfirm = () => {
+        onConfirm(rows.map((row, index) => ({ ...row, newQuantity: Math.max(parseFloat(quantities[index]) || 0, 0) })), Math.max(parseFloat(leftoverServings) || 0, 0));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Update Pantry</h2>
+                    <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+                </div>
+                <p className="text-gray-600 mb-4">Here's what cooking {recipe.recipeName} will leave in your pantry. Adjust anything you used more or less of.</p>
+                <div className="flex-grow overflow-y-auto space-y-3 pr-2">
+                    {rows.map(({ ingredient }, index) => (
+                        <div key={ingredient.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                            <span className="flex-grow font-medium text-gray-800">{ingredient.name}</span>
+                            <span className="text-gray-500 text-sm">{ingredient.quantity} →</span>
+                            <input type="number" min="0" step="any" value={quantities[index]} onChange={(e) => setQuantities(prev => prev.map((q, i) => (i === index ? e.target.value : q)))} className="w-20 px-2 py-1 border border-gray-300 rounded-md" aria-label={`New quantity of ${ingredient.name}`} />
+                            <span className="text-gray-600 text-sm w-12">{ingredient.unit}</span>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex items-center gap-3 p-3 mt-3 bg-orange-50 border border-orange-200 rounded-lg">
+                    <label htmlFor="leftover-servings" className="flex-grow font-medium text-orange-900">Servings left over</label>
+                    <input id="leftover-servings" type="number" min="0" max={servings} step="any" value={leftoverServings} onChange={(e) => setLeftoverServings(e.target.value)} className="w-20 px-2 py-1 border border-gray-300 rounded-md" />
+                    <span className="text-orange-900 text-sm">of {servings}</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-3">Items left at 0 are removed. Leftovers go in the pantry with a {LEFTOVER_SHELF_DAYS}-day best-by date. You can undo this from the pantry history.</p>
+                <div className="mt-6 flex justify-end gap-3">
+                    <button onClick={onCancel} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Keep Cooking</button>
+                    <button onClick={handleConfirm} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700">Confirm & Update</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const StarRating = ({ rating, onRate, label }) => (
+    <div className="flex" role="group" aria-label={label}>
+        {[1, 2, 3, 4, 5].map(value => (
+            <button key={value} onClick={() => onRate(value === rating ? null : value)} className={`text-lg leading-none px-0.5 ${value <= (rating || 0) ? 'text-amber-400' : 'text-gray-300'} hover:text-amber-500`} aria-label={`${value} star${value === 1 ? '' : 's'}`} aria-pressed={value <= (rating || 0)}>★</button>
+        ))}
+    </div>
+);
+
+const CookedRecipeItem = ({ recipe, isFavorited, onFavorite, onReview }) => {
+    const [isEditingNotes, setIsEditingNotes] = useState(false);
+    const [notes, setNotes] = useState(recipe.notes || '');
+    const pastRatings = (recipe.pastCooks || []).filter(cook => cook.rating);
+
+    const handleSaveNotes = () => {
+        onReview(recipe.id, { notes: notes.trim() });
+        setIsEditingNotes(false);
+    };
+
+    return (
+        <div className="bg-gray-50 p-3 rounded-lg border">
+            <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-700 truncate pr-2">{recipe.recipeName}{recipe.cookedBy && <span className="text-sm font-normal text-gray-500"> · {recipe.cookedBy.name}</span>}</span>
+                <button onClick={() => onFavorite(recipe)} className="text-yellow-400 hover:text-yellow-500" aria-label="Favorite this recipe"><StarIcon filled={isFavorited} /></button>
+            </div>
+            <div className="flex items-center justify-between mt-1">
+                <StarRating rating={recipe.rating} onRate={(rating) => onReview(recipe.id, { rating })} label={`Rate ${recipe.recipeName}`} />
+                {!isEditingNotes && <button onClick={() => { setNotes(recipe.notes || ''); setIsEditingNotes(true); }} className="text-xs text-indigo-600 hover:text-indigo-800 font-semibold">{recipe.notes ? 'Edit notes' : 'Add notes'}</button>}
+            </div>
+            {isEditingNotes ? (
+                <div className="mt-2">
+                    <textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} placeholder="How did it go? Too salty, kids loved it, double the garlic..." className="block w-full px-2 py-1 border border-gray-300 rounded-md text-sm" />
+                    <div className="flex justify-end gap-2 mt-1">
+                        <button onClick={() => setIsEditingNotes(false)} className="text-xs text-gray-500 hover:text-gray-800">Cancel</button>
+                        <button onClick={handleSaveNotes} className="text-xs text-indigo-600 hover:text-indigo-800 font-semibold">Save</button>
+                    </div>
+                </div>
+            ) : recipe.notes && <p className="text-sm text-gray-600 italic mt-1">{recipe.notes}</p>}
+            {pastRatings.length > 0 && <p className="text-xs text-gray-500 mt-1">Earlier cooks: {pastRatings.map(cook => `${cook.rating}★`).join(', ')}</p>}
+        </div>
+    );
+};
+
+const RecentlyCookedList = ({ recipes, onFavorite, onReview, favoritedIds }) => (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+        <h2 className="text-2xl font-semibold mb-4 text-gray-800">Recently Cooked</h2>
+        {recipes.length === 0 ? <p className="text-gray-500">No recently cooked meals.</p> : (<div className="space-y-3">{recipes.map(recipe => <CookedRecipeItem key={recipe.id} recipe={recipe} isFavorited={favoritedIds.includes(recipe.id)} onFavorite={onFavorite} onReview={onReview} />)}</div>)}
+    </div>
+);
+
+const FavoritedRecipesList = ({ recipes, onCookAgain, onFavorite, onImport, onShare, onEdit }) => (
+    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+        <div className="flex justify-between items-center mb-4">
+            <h2 className="text-2xl font-semibold text-gray-800">Saved Recipes</h2>
+            <button onClick={onImport} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Import Recipe</button>
+        </div>
+        {recipes.length === 0 ? <p className="text-gray-500">You haven't saved any recipes yet.</p> : (<div className="space-y-3">{recipes.map(recipe => (<div key={recipe.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border"><span className="font-medium text-gray-700 truncate pr-2">{recipe.recipeName}{recipe.original && <span className="text-xs font-normal text-gray-500 ml-1">(edited)</span>}</span><div className="flex items-center space-x-2"><button onClick={() => onCookAgain(recipe)} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Cook Again</button><button onClick={() => onEdit(recipe)} className="text-sm text-gray-500 hover:text-gray-800 font-semibold">Edit</button><button onClick={() => onShare(recipe)} className="text-sm text-gray-500 hover:text-gray-800 font-semibold">Share</button><button onClick={() => onFavorite(recipe)} className="text-yellow-400 hover:text-yellow-500" aria-label="Unfavorite this recipe"><StarIcon filled={true} /></button></div></div>))}</div>)}
+    </div>
+);
+
+const RecipeShareModal = ({ recipe, onClose }) => {
+    const cardRef = useRef(null);
+    const [status, setStatus] = useState('');
+    // The PNG card, rendered up front: share() has to run straight from the click, before its user activation expires.
+    const [card, setCard] = useState({ file: null, isRendering: true });
+    const markdown = recipeToMarkdown(recipe);
+
+    useEffect(() => {
+        let cancelled = false;
+        setCard({ file: null, isRendering: true });
+        (async () => {
+            const canvas = await html2canvas(cardRef.current, { backgroundColor: '#ffffff', scale: 2 });
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            if (!blob) throw new Error("The card image couldn't be created.");
+            return new File([blob], getRecipeFileName(recipe, 'png'), { type: 'image/png' });
+        })().then(file => {
+            if (!cancelled) setCard({ file, isRendering: false });
+        }).catch(err => {
+            console.error("Error rendering recipe card:", err);
+            if (!cancelled) setCard({ file: null, isRendering: false });
+        });
+        return () => { cancelled = true; };
+    }, [recipe]);
+
+    const runAction = async (action) => {
+        setStatus('');
+        try {
+            setStatus(await action() || '');
+        } catch (err) {
+            if (err.name === 'AbortError') { setStatus(''); return; }
+            console.error("Error sharing recipe:", err);
+            setStatus("That didn't work in this browser. Try another option.");
+        }
+    };
+
+    const handleCopy = () => runAction(async () => { await navigator.clipboard.writeText(markdown); return 'Copied the recipe to your clipboard.'; });
+
+    // Nothing is awaited before share() so it still runs within the click. Without a card, only the text is shared.
+    const handleShare = () => runAction(async () => {
+        if (card.file && navigator.canShare?.({ files: [card.file] })) await navigator.share({ title: recipe.recipeName, text: markdown, files: [card.file] });
+        else if (navigator.share) await navigator.share({ title: recipe.recipeName, text: markdown });
+        else { await navigator.clipboard.writeText(markdown); return "Sharing isn't available here, so the recipe was copied to your clipboard instead."; }
+        return '';
+    });
+
+    const handleOpenPrintable = () => {
+        const url = URL.createObjectURL(new Blob([recipeToPrintableHtml(recipe)], { type: 'text/html' }));
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    };
+
+    const buttonClass = "py-2 px-3 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50";
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Share Recipe</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+                </div>
+                <div className="flex-grow overflow-y-auto pr-2">
+                    <div ref={cardRef} className="p-6 rounded-xl bg-gradient-to-br from-amber-50 to-orange-100 border border-orange-200">
+                        <h3 className="text-2xl font-bold text-gray-900">{recipe.recipeName}</h3>
+                        {recipe.description && <p className="text-gray-700 mt-1">{recipe.description}</p>}
+                        <p className="text-sm text-gray-500 italic mt-1">Serves {recipe.servings || DEFAULT_SERVINGS}</p>
+                        <h4 className="font-semibold text-gray-800 mt-4 mb-1">Ingredients</h4>
+                        <ul className="list-disc list-inside text-gray-700 text-sm space-y-0.5">{recipe.ingredientsNeeded.map((ingredient, index) => <li key={index}>{formatIngredientLine(ingredient)}</li>)}</ul>
+                        <h4 className="font-semibold text-gray-800 mt-4 mb-1">Instructions</h4>
+                        <ol className="list-decimal list-inside text-gray-700 text-sm space-y-1">{recipe.instructions.map((step, index) => <li key={index}>{step}</li>)}</ol>
+                        <p className="text-xs text-orange-700 text-right mt-4">Fridge Forager</p>
+                    </div>
+                </div>
+                {(status || card.isRendering) && <p className="text-sm text-gray-600 mt-3">{status || 'Preparing the card...'}</p>}
+                <div className="mt-4 flex flex-wrap gap-2">
+                    <button onClick={handleShare} disabled={card.isRendering} className="py-2 px-3 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Share</button>
+                    <button onClick={handleCopy} className={buttonClass}>Copy Text</button>
+                    <button onClick={() => downloadFile(card.file.name, card.file, 'image/png')} disabled={!card.file} title={!card.isRendering && !card.file ? "The card image couldn't be created in this browser." : undefined} className={`${buttonClass} disabled:text-gray-400`}>PNG Card</button>
+                    <button onClick={() => downloadFile(getRecipeFileName(recipe, 'md'), markdown, 'text/markdown')} className={buttonClass}>Markdown</button>
+                    <button onClick={handleOpenPrintable} className={buttonClass}>Printable Page</button>
+                    <button onClick={() => downloadFile(getRecipeFileName(recipe, 'json'), JSON.stringify(recipeToJsonLd(recipe), null, 2), 'application/ld+json')} className={buttonClass}>JSON-LD</button>
                 </div>
             </div>
         </div>
     );
-}
+};
 
-// --- Auth & Layout Components ---
+// Editable form for a recipe's content, shared by the importer and personal edits of saved recipes.
+const RecipeEditor = ({ recipe, onSave, onBack, backLabel = 'Back', children }) => {
+    const [draft, setDraft] = useState(() => ({ ...recipe, description: recipe.description || '', servings: recipe.servings || DEFAULT_SERVINGS, ingredientsNeeded: recipe.ingredientsNeeded.map((ingredient, index) => ({ ...ingredient, key: index })), instructions: recipe.instructions.join('\n') }));
+    const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+    const updateIngredient = (key, field, value) => updateDraft('ingredientsNeeded', draft.ingredientsNeeded.map(i => (i.key === key ? { ...i, [field]: value, needsReview: false } : i)));
+    const ingredientsNeeded = draft.ingredientsNeeded.filter(i => i.name.trim() && parseFloat(i.quantity) > 0).map(i => ({ name: i.name.trim(), quantity: parseFloat(i.quantity), unit: i.unit.trim() }));
+    const instructions = draft.instructions.split('\n').map(line => line.trim()).filter(Boolean);
+    const canSave = draft.recipeName.trim() && ingredientsNeeded.length > 0 && instructions.length > 0;
+
+    const handleSave = () => onSave({ recipeName: draft.recipeName.trim(), description: draft.description.trim(), servings: parseInt(draft.servings, 10) || DEFAULT_SERVINGS, ingredientsNeeded, instructions });
 
-const AuthScreen = ({ onAuth, view, setView, error, setError }) => {
-    const [email, setEmail] = useState('');
-    const [password, setPassword] = useState('');
-    const handleSubmit = (e) => { e.preventDefault(); onAuth(view, email, password); };
-    const toggleView = () => { setError(null); setView(v => v === 'login' ? 'register' : 'login'); };
     return (
-        <div className="bg-gray-50 min-h-screen flex flex-col items-center justify-center p-4">
-            <div className="text-center mb-8"><h1 className="text-4xl md:text-5xl font-bold text-gray-900">Fridge Forager</h1><p className="text-gray-600 mt-2">Your personal kitchen assistant</p></div>
-            <div className="w-full max-w-md bg-white rounded-xl shadow-md border border-gray-200 p-8">
-                <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">{view === 'login' ? 'Welcome Back!' : 'Create Your Account'}</h2>
-                <form onSubmit={handleSubmit} className="space-y-6">
-                    <div><label htmlFor="email" className="block text-sm font-medium text-gray-700">Email Address</label><input type="email" id="email" value={email} onChange={(e) => setEmail(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required /></div>
-                    <div><label htmlFor="password"className="block text-sm font-medium text-gray-700">Password</label><input type="password" id="password" value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm" required /></div>
-                    {error && (<p className="text-sm text-red-600 text-center">{error}</p>)}
-                    <button type="submit" className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">{view === 'login' ? 'Login' : 'Register'}</button>
-                </form>
-                <p className="mt-6 text-center text-sm text-gray-600">{view === 'login' ? "Don't have an account?" : "Already have an account?"}<button onClick={toggleView} className="font-medium text-indigo-600 hover:text-indigo-500 ml-1">{view === 'login' ? 'Register here' : 'Login here'}</button></p>
+        <>
+            <div className="flex-grow overflow-y-auto space-y-4 pr-2">
+                {children}
+                <div className="grid grid-cols-4 gap-3">
+                    <div className="col-span-3"><label className="block text-sm font-medium text-gray-700">Name</label><input type="text" value={draft.recipeName} onChange={(e) => updateDraft('recipeName', e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm" /></div>
+                    <div><label className="block text-sm font-medium text-gray-700">Servings</label><input type="number" min="1" value={draft.servings} onChange={(e) => updateDraft('servings', e.target.value)} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm" /></div>
+                </div>
+                <div><label className="block text-sm font-medium text-gray-700">Description</label><textarea value={draft.description} onChange={(e) => updateDraft('description', e.target.value)} rows={2} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm" /></div>
+                <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-1">Ingredients</h3>
+                    <p className="text-xs text-gray-500 mb-2">Amounts and units are what the pantry checks against. Rows in amber had no amount, so check them.</p>
+                    <div className="space-y-2">
+                        {draft.ingredientsNeeded.map(ingredient => (
+                            <div key={ingredient.key} className={`grid grid-cols-12 gap-1 items-center p-2 rounded-lg border ${ingredient.needsReview ? 'bg-amber-50 border-amber-300' : 'bg-gray-50'}`}>
+                                <input type="number" step="any" min="0" value={ingredient.quantity} onChange={(e) => updateIngredient(ingredient.key, 'quantity', e.target.value)} className="col-span-2 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label={`Quantity of ${ingredient.name}`} />
+                                <input type="text" list="recipe-editor-units" value={ingredient.unit} onChange={(e) => updateIngredient(ingredient.key, 'unit', e.target.value)} className="col-span-3 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label={`Unit for ${ingredient.name}`} />
+                                <input type="text" value={ingredient.name} onChange={(e) => updateIngredient(ingredient.key, 'name', e.target.value)} className="col-span-6 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Ingredient name" />
+                                <button onClick={() => updateDraft('ingredientsNeeded', draft.ingredientsNeeded.filter(i => i.key !== ingredient.key))} className="col-span-1 flex justify-center text-red-500 hover:text-red-700" aria-label={`Remove ${ingredient.name}`}><TrashIcon /></button>
+                            </div>
+                        ))}
+                        <datalist id="recipe-editor-units">{typedUnitSuggestions.map(u => <option key={u} value={u} />)}</datalist>
+                    </div>
+                    <button onClick={() => updateDraft('ingredientsNeeded', [...draft.ingredientsNeeded, { key: Date.now(), name: '', quantity: 1, unit: 'each' }])} className="mt-2 text-sm text-indigo-600 hover:text-indigo-800 font-semibold">+ Add ingredient</button>
+                </div>
+                <div><label className="block text-sm font-medium text-gray-700">Instructions <span className="font-normal text-gray-500">(one step per line)</span></label><textarea value={draft.instructions} onChange={(e) => updateDraft('instructions', e.target.value)} rows={6} className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm sm:text-sm" /></div>
             </div>
-        </div>
+            <div className="mt-6 flex justify-end gap-3">
+                <button onClick={onBack} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">{backLabel}</button>
+                <button onClick={handleSave} disabled={!canSave} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Save Recipe</button>
+            </div>
+        </>
     );
 };
 
-const FindRecipeSection = ({ onFindRecipes, preferences, setPreferences, mealType, setMealType, hasIngredients, selectedTags, setSelectedTags }) => {
-    const mealTypes = ['Any', 'Breakfast', 'Lunch', 'Dinner', 'Snack'];
-    const cuisineTags = ['American', 'Italian', 'Mexican', 'Asian', 'Indian', 'Mediterranean', 'French', 'Chinese', 'Japanese', 'Thai', 'Greek', 'Spanish'];
-    const styleTags = ['Healthy', 'Comfort Food', 'Quick & Easy', 'Low-Carb', 'Vegetarian', 'Vegan', 'Gluten-Free', 'Grilling', 'Baking', 'Slow Cooker'];
+// Paste a recipe (text, JSON-LD or page HTML), fix up what was read, and save it alongside generated ones.
+const RecipeImportModal = ({ onSave, onCancel }) => {
+    const [text, setText] = useState('');
+    const [draft, setDraft] = useState(null);
+    const [parseError, setParseError] = useState('');
 
-    const handleTagClick = (tag) => {
-        setSelectedTags(prev => 
-            prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]
-        );
+    const handleParse = () => {
+        try {
+            setDraft(parseRecipeImport(text));
+            setParseError('');
+        } catch (err) { setParseError(err.message); }
     };
 
     return (
-        <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-2">Find a Recipe</h2>
-            <p className="text-sm text-gray-500 mb-4">Help guide the AI by selecting tags for cuisines or food styles you're in the mood for.</p>
-            <div className="space-y-4">
-                <div>
-                    <h3 className="text-sm font-medium text-gray-700 mb-2">What meal are you making?</h3>
-                    <div className="flex flex-wrap gap-2">
-                        {mealTypes.map((type) => (<button key={type} onClick={() => setMealType(type.toLowerCase())} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ mealType === type.toLowerCase() ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{type}</button>))}
-                    </div>
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Import a Recipe</h2>
+                    <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
                 </div>
-                <div>
-                    <h3 className="text-sm font-medium text-gray-700 mb-2">Cuisines</h3>
-                    <div className="flex flex-wrap gap-2">
-                        {cuisineTags.map((tag) => (<button key={tag} onClick={() => handleTagClick(tag)} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ selectedTags.includes(tag) ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{tag}</button>))}
+                {!draft ? (
+                    <div className="space-y-4">
+                        <p className="text-gray-600 text-sm">Paste a recipe as plain text (title first, then ingredients and steps), or paste a recipe page's HTML or its schema.org JSON-LD.</p>
+                        <textarea value={text} onChange={(e) => setText(e.target.value)} rows={12} placeholder={"Grandma's Pancakes\nServes 4\nIngredients\n1 cup flour\n2 eggs\nMethod\nWhisk everything together.\nFry for 2 minutes a side."} className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm font-mono" />
+                        {parseError && <p className="text-sm text-red-600">{parseError}</p>}
+                        <div className="flex justify-end gap-3">
+                            <button onClick={onCancel} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>
+                            <button onClick={handleParse} disabled={!text.trim()} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Read Recipe</button>
+                        </div>
                     </div>
+                ) : <RecipeEditor recipe={draft} onSave={onSave} onBack={() => setDraft(null)} />}
+            </div>
+        </div>
+    );
+};
+
+// Personal edits to a saved recipe. The version first saved is kept in `original` for reference and restoring.
+const RecipeEditModal = ({ recipe, onSave, onRestoreOriginal, onCancel }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+        <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold">Edit Recipe</h2>
+                <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+            </div>
+            <RecipeEditor recipe={recipe} onSave={onSave} onBack={onCancel} backLabel="Cancel">
+                {recipe.original && (
+                    <details className="p-3 bg-gray-50 rounded-lg border text-sm">
+                        <summary className="cursor-pointer font-medium text-gray-700">Original version</summary>
+                        <p className="font-semibold text-gray-800 mt-2">{recipe.original.recipeName} <span className="font-normal text-gray-500">· serves {recipe.original.servings || DEFAULT_SERVINGS}</span></p>
+                        <ul className="list-disc list-inside text-gray-600 mt-1">{recipe.original.ingredientsNeeded.map((ingredient, index) => <li key={index}>{formatIngredientLine(ingredient)}</li>)}</ul>
+                        <ol className="list-decimal list-inside text-gray-600 mt-2 space-y-1">{recipe.original.instructions.map((step, index) => <li key={index}>{step}</li>)}</ol>
+                        <button onClick={onRestoreOriginal} className="mt-2 text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Restore original</button>
+                    </details>
+                )}
+            </RecipeEditor>
+        </div>
+    </div>
+);
+
+const IngredientMatchModal = ({ questions, onConfirm, onCancel }) => {
+    const [choices, setChoices] = useState(() => Object.fromEntries(questions.map(q => [q.neededKey, q.candidates[0].pantryKey])));
+
+    const handleConfirm = () => {
+        onConfirm(Object.entries(choices).map(([neededKey, pantryKey]) => ({ neededKey, pantryKey })));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Confirm Ingredients</h2>
+                    <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
                 </div>
-                 <div>
-                    <h3 className="text-sm font-medium text-gray-700 mb-2">Food Styles</h3>
-                    <div className="flex flex-wrap gap-2">
-                        {styleTags.map((tag) => (<button key={tag} onClick={() => handleTagClick(tag)} className={`px-3 py-1 text-sm font-medium rounded-full transition-colors ${ selectedTags.includes(tag) ? 'bg-indigo-600 text-white shadow' : 'bg-white text-gray-700 hover:bg-indigo-100 border border-gray-300' }`}>{tag}</button>))}
-                    </div>
+                <p className="text-gray-600 mb-4">We weren't sure which pantry items this recipe means. Your answers are remembered for next time.</p>
+                <div className="flex-grow overflow-y-auto space-y-4 pr-2">
+                    {questions.map(({ needed, neededKey, candidates }) => (
+                        <fieldset key={neededKey} className="p-3 bg-gray-50 rounded-lg">
+                            <legend className="font-medium text-gray-800">{needed.quantity} {needed.unit} {needed.name}</legend>
+                            <div className="mt-2 space-y-1">
+                                {[...candidates, { pantryKey: null }].map(({ pantryKey, items }) => (
+                                    <label key={pantryKey || 'none'} className="flex items-center gap-2 text-sm text-gray-700">
+                                        <input type="radio" name={neededKey} checked={choices[neededKey] === pantryKey} onChange={() => setChoices(prev => ({ ...prev, [neededKey]: pantryKey }))} className="text-indigo-600 focus:ring-indigo-500" />
+                                        {pantryKey ? <span>{items[0].name} <span className="text-gray-500">({items.map(i => `${i.quantity} ${i.unit}`).join(' + ')})</span></span> : <span className="italic">I don't have this</span>}
+                                    </label>
+                                ))}
+                            </div>
+                        </fieldset>
+                    ))}
                 </div>
-                <div>
-                     <label htmlFor="preferences" className="block text-sm font-medium text-gray-700 mb-2">Other Preferences (optional)</label>
-                     <input type="text" id="preferences" name="preferences" value={preferences} onChange={(e) => setPreferences(e.target.value)} placeholder="e.g., spicy, no mushrooms" className="block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                <div className="mt-6 flex justify-end gap-3">
+                    <button onClick={onCancel} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>
+                    <button onClick={handleConfirm} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">Confirm</button>
                 </div>
             </div>
-            <div className="mt-6"><button onClick={onFindRecipes} disabled={!hasIngredients} className="w-full flex-shrink-0 flex justify-center items-center py-3 px-6 border border-transparent rounded-md shadow-sm text-lg font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400 disabled:cursor-not-allowed">Find Recipes!</button></div>
         </div>
     );
 };
 
-const PantrySection = ({ ingredients, onDelete, onAdd, onUpdate, isCollapsed, setIsCollapsed }) => {
-    const [editingId, setEditingId] = useState(null);
-    const [sortOrder, setSortOrder] = useState('alpha');
+// --- Meal Plan Components ---
 
-    const sortedIngredients = [...ingredients].sort((a, b) => {
-        if (sortOrder === 'date') {
-            return (a.createdAt || 0) - (b.createdAt || 0);
-        }
-        return a.name.localeCompare(b.name);
-    });
+const AddToPlanForm = ({ onAdd }) => {
+    const [date, setDate] = useState(() => toDateInputValue(Date.now()));
+    const [meal, setMeal] = useState('dinner');
+    return (
+        <div className="flex items-center gap-2 text-sm">
+            <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="px-2 py-1 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500" aria-label="Plan for date" />
+            <select value={meal} onChange={(e) => setMeal(e.target.value)} className="px-2 py-1 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 capitalize" aria-label="Meal">{MEAL_SLOTS.map(slot => <option key={slot} value={slot}>{slot}</option>)}</select>
+            <button onClick={() => onAdd(date, meal)} disabled={!date} className="py-1 px-3 border border-gray-300 rounded-md shadow-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-40">Add to meal plan</button>
+        </div>
+    );
+};
+
+const MealPlanSection = ({ mealPlan, favoritedRecipes, recentlyCooked, onAdd, onUpdate, onRemove, onOpen, onBuildShoppingList }) => {
+    const [isCollapsed, setIsCollapsed] = useState(true);
+    const [weekOf, setWeekOf] = useState(() => Date.now());
+    const [pickingSlot, setPickingSlot] = useState(null);
+    const days = getWeekDays(weekOf);
+    const dayKeys = days.map(toDateInputValue);
+    const todayKey = toDateInputValue(Date.now());
+    const weekMeals = mealPlan.filter(entry => dayKeys.includes(entry.date));
+    const shiftWeek = (weeks) => setWeekOf(days[0] + weeks * 7 * DAY_MS + DAY_MS / 2);
 
     return (
         <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
             <div className="flex justify-between items-center cursor-pointer" onClick={() => setIsCollapsed(!isCollapsed)}>
-                <h2 className="text-2xl font-semibold text-gray-800">Your Pantry</h2>
-                <button className="text-gray-600 hover:text-indigo-600" aria-label="Toggle Pantry"><ChevronDownIcon isCollapsed={isCollapsed} /></button>
+                <h2 className="text-2xl font-semibold text-gray-800">Meal Plan</h2>
+                <button className="text-gray-600 hover:text-indigo-600" aria-label="Toggle Meal Plan"><ChevronDownIcon isCollapsed={isCollapsed} /></button>
             </div>
             {!isCollapsed && (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-8 pt-6 mt-4 border-t">
-                    <IngredientForm onSave={onAdd} title="Add Ingredient" />
-                    <div>
-                        <div className="flex justify-between items-center mb-4">
-                            <h3 className="text-xl font-semibold text-gray-700">Current Ingredients</h3>
-                            <div className="flex gap-2">
-                                <button onClick={() => setSortOrder('alpha')} className={`px-2 py-1 text-xs rounded-md ${sortOrder === 'alpha' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>A-Z</button>
-                                <button onClick={() => setSortOrder('date')} className={`px-2 py-1 text-xs rounded-md ${sortOrder === 'date' ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-700'}`}>Date</button>
-                            </div>
+                <div className="pt-6 mt-4 border-t">
+                    <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                        <div className="flex items-center gap-2">
+                            <button onClick={() => shiftWeek(-1)} className="px-2 py-1 text-sm rounded-md border border-gray-300 hover:bg-gray-50" aria-label="Previous week">&larr;</button>
+                            <span className="font-medium text-gray-700">Week of {new Date(days[0]).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+                            <button onClick={() => shiftWeek(1)} className="px-2 py-1 text-sm rounded-md border border-gray-300 hover:bg-gray-50" aria-label="Next week">&rarr;</button>
                         </div>
-                        {ingredients.length === 0 ? <p className="text-gray-500 text-center py-8">Your pantry is empty.</p> : (
-                            <div className="space-y-3 max-h-96 overflow-y-auto pr-2">
-                                {sortedIngredients.map(ing => (
-                                    <div key={ing.id}>
-                                        {editingId === ing.id ? (
-                                            <IngredientForm
-                                                initialData={ing}
-                                                onSave={(data) => { onUpdate(ing.id, data); setEditingId(null); }}
-                                                onCancel={() => setEditingId(null)}
-                                                isEditing={true}
-                                            />
-                                        ) : (
-                                            <div className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border">
-                                                <div>
-                                                    <span className="font-medium text-gray-700">{ing.name}</span>
-                                                    {ing.createdAt && <p className="text-xs text-gray-500">Added: {new Date(ing.createdAt).toLocaleDateString('en-US', { year: '2-digit', month: '2-digit', day: '2-digit' })}</p>}
-                                                </div>
-                                                <div className="flex items-center space-x-3">
-                                                    <span className="text-gray-600">{ing.quantity} {ing.unit}</span>
-                                                    <button onClick={() => setEditingId(ing.id)} className="text-blue-500 hover:text-blue-700" aria-label={`Edit ${ing.name}`}><EditIcon /></button>
-                                                    <button onClick={() => onDelete(ing.id)} className="text-red-500 hover:text-red-700" aria-label={`Delete ${ing.name}`}><TrashIcon /></button>
+                        <button onClick={() => onBuildShoppingList(weekMeals)} disabled={weekMeals.length === 0} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed">Build Shopping List</button>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                        {days.map((day, dayIndex) => (
+                            <div key={day} className={`p-3 rounded-lg border ${dayKeys[dayIndex] === todayKey ? 'border-indigo-400 bg-indigo-50' : 'bg-gray-50'}`}>
+                                <h3 className="font-semibold text-gray-800 mb-2">{new Date(day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</h3>
+                                {MEAL_SLOTS.map(meal => (
+                                    <div key={meal} className="mb-2">
+                                        <div className="flex justify-between items-center"><span className="text-xs uppercase tracking-wide text-gray-500">{meal}</span><button onClick={() => setPickingSlot({ date: dayKeys[dayIndex], meal })} className="text-indigo-600 hover:text-indigo-800" aria-label={`Plan ${meal}`}><PlusIcon /></button></div>
+                                        {weekMeals.filter(entry => entry.date === dayKeys[dayIndex] && entry.meal === meal).map(entry => (
+                                            <div key={entry.id} className="flex items-center justify-between gap-1 text-sm bg-white rounded border px-2 py-1 mt-1">
+                                                <button onClick={() => onOpen(entry)} className="text-left text-gray-700 hover:text-indigo-700 truncate">{entry.recipe.recipeName}</button>
+                                                <div className="flex items-center gap-1 flex-shrink-0">
+                                                    <input type="number" min="1" value={entry.servings} onChange={(e) => { const servings = parseInt(e.target.value, 10); if (servings > 0) onUpdate(entry.id, { servings }); }} className="w-12 px-1 border border-gray-300 rounded text-center" aria-label="Servings" />
+                                                    <button onClick={() => onRemove(entry.id)} className="text-red-500 hover:text-red-700" aria-label={`Remove ${entry.recipe.recipeName}`}><TrashIcon /></button>
                                                 </div>
                                             </div>
-                                        )}
+                                        ))}
                                     </div>
                                 ))}
                             </div>
-                        )}
+                        ))}
                     </div>
                 </div>
             )}
+            {pickingSlot && <MealPlanPickerModal slot={pickingSlot} sources={[{ label: 'Saved Recipes', recipes: favoritedRecipes }, { label: 'Recently Cooked', recipes: recentlyCooked }]} onPick={(recipe) => { onAdd({ ...pickingSlot, recipe }); setPickingSlot(null); }} onCancel={() => setPickingSlot(null)} />}
         </div>
     );
 };
 
-const HistorySection = ({ favoritedRecipes, recentlyCooked, onCookAgain, onFavorite, favoritedIds }) => (
-     <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-        <FavoritedRecipesList recipes={favoritedRecipes} onCookAgain={onCookAgain} onFavorite={onFavorite} />
-        <RecentlyCookedList recipes={recentlyCooked} onFavorite={onFavorite} favoritedIds={favoritedIds} />
-     </div>
+const MealPlanPickerModal = ({ slot, sources, onPick, onCancel }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+        <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold capitalize">Plan {slot.meal}</h2>
+                <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+            </div>
+            <p className="text-gray-600 mb-4">Pick a recipe for {new Date(fromDateInputValue(slot.date)).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}. To plan a new recipe, find one and use "Add to meal plan".</p>
+            <div className="flex-grow overflow-y-auto space-y-4 pr-2">
+                {sources.map(({ label, recipes }) => (
+                    <div key={label}>
+                        <h3 className="font-semibold text-gray-700 mb-2">{label}</h3>
+                        {recipes.length === 0 ? <p className="text-sm text-gray-500">Nothing here yet.</p> : (
+                            <div className="space-y-2">{recipes.map(recipe => (
+                                <button key={recipe.id} onClick={() => onPick(recipe)} className="w-full text-left bg-gray-50 p-3 rounded-lg border hover:border-indigo-500">
+                                    <span className="font-medium text-gray-700">{recipe.recipeName}</span>
+                                    <span className="text-sm text-gray-500 ml-2">{getRecipeServings(recipe)} servings</span>
+                                </button>
+                            ))}</div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    </div>
 );
 
-const IngredientForm = ({ onSave, title, initialData = { name: '', quantity: '', unit: '' }, isEditing = false, onCancel }) => {
-    const [ingredient, setIngredient] = useState(initialData);
-    const [unit, setUnit] = useState(initialData.unit && !['g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'each', 'whole', 'stick'].includes(initialData.unit) ? 'other' : initialData.unit || 'g');
-    const commonUnits = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'each', 'whole', 'stick', 'other'];
-
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        setIngredient(prev => ({ ...prev, [name]: value }));
-    };
+// --- Household Components ---
 
-    const handleUnitChange = (e) => {
-        const { value } = e.target;
-        setUnit(value);
-        if (value !== 'other') {
-            setIngredient(prev => ({ ...prev, unit: value }));
-        }
-    };
+const HouseholdModal = ({ household, userId, onCreate, onJoin, onLeave, onRemoveMember, onRegenerateCode, onMovePersonalData, onClose }) => {
+    const [newName, setNewName] = useState('');
+    const [inviteCode, setInviteCode] = useState('');
+    const [isMoving, setIsMoving] = useState(false);
+    const isOwner = household?.ownerId === userId;
+    const members = household ? Object.entries(household.members).sort(([, a], [, b]) => a.joinedAt - b.joinedAt) : [];
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        if (!ingredient.name.trim() || !ingredient.quantity) return;
-        onSave(ingredient);
-        if (!isEditing) {
-            setIngredient({ name: '', quantity: '', unit: '' });
-            setUnit('g');
-        }
+    const handleMove = async () => {
+        if (!window.confirm(`Move your personal pantry, shopping list, meal plan and history into ${household.name}? Everyone in the household will see them.`)) return;
+        setIsMoving(true);
+        await onMovePersonalData();
+        setIsMoving(false);
     };
 
     return (
-        <div className={isEditing ? "bg-indigo-50 p-4 rounded-lg" : ""}>
-            <h3 className="text-xl font-semibold text-gray-700 mb-4">{title}</h3>
-            <form onSubmit={handleSubmit} className="space-y-4">
-                <div><label htmlFor="name" className="block text-sm font-medium text-gray-700">Ingredient Name</label><input type="text" id="name" name="name" value={ingredient.name} onChange={handleChange} placeholder="e.g., Flour" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" required /></div>
-                <div className="grid grid-cols-2 gap-4">
-                    <div><label htmlFor="quantity" className="block text-sm font-medium text-gray-700">Quantity</label><input type="number" id="quantity" name="quantity" value={ingredient.quantity} onChange={handleChange} placeholder="e.g., 500" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" required /></div>
-                    <div><label htmlFor="unit" className="block text-sm font-medium text-gray-700">Unit</label><select id="unit" name="unit-select" value={unit} onChange={handleUnitChange} className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm">{commonUnits.map(u => <option key={u} value={u}>{u}</option>)}</select></div>
-                </div>
-                {unit === 'other' && <div><label htmlFor="custom-unit" className="block text-sm font-medium text-gray-700">Custom Unit</label><input type="text" id="custom-unit" name="unit" value={ingredient.unit} onChange={handleChange} placeholder="e.g., bunch" className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" /></div>}
-                <div className="flex gap-2">
-                    <button type="submit" className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">{isEditing ? 'Save' : <><PlusIcon /> Add Ingredient</>}</button>
-                    {isEditing && <button type="button" onClick={onCancel} className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Cancel</button>}
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">{household ? household.name : 'Household'}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
                 </div>
-            </form>
+                {household ? (
+                    <div className="flex-grow overflow-y-auto space-y-6 pr-2">
+                        <p className="text-gray-600">Everyone here shares one pantry, shopping list, meal plan and cooking history.</p>
+                        {isOwner && (
+                            <div>
+                                <h3 className="font-semibold text-gray-700 mb-2">Invite code</h3>
+                                <div className="flex items-center gap-3">
+                                    <span className="font-mono text-2xl tracking-widest bg-gray-100 rounded px-3 py-1">{household.inviteCode}</span>
+                                    <button onClick={onRegenerateCode} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">New code</button>
+                                </div>
+                                <p className="text-xs text-gray-500 mt-1">A new code stops the old one from working.</p>
+                            </div>
+                        )}
+                        <div>
+                            <h3 className="font-semibold text-gray-700 mb-2">Members</h3>
+                            <div className="space-y-2">{members.map(([memberId, member]) => (
+                                <div key={memberId} className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border">
+                                    <span className="font-medium text-gray-700">{member.name}{memberId === userId && ' (you)'} <span className="text-xs uppercase tracking-wide text-gray-500 ml-1">{member.role}</span></span>
+                                    {isOwner && memberId !== userId && <button onClick={() => onRemoveMember(memberId)} className="text-red-500 hover:text-red-700" aria-label={`Remove ${member.name}`}><TrashIcon /></button>}
+                                </div>
+                            ))}</div>
+                        </div>
+                        <div>
+                            <h3 className="font-semibold text-gray-700 mb-2">Your personal pantry</h3>
+                            <p className="text-sm text-gray-600 mb-2">Had a pantry before joining? Bring it into the household so nothing is tracked twice.</p>
+                            <button onClick={handleMove} disabled={isMoving} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-40">{isMoving ? 'Moving...' : 'Move my personal data in'}</button>
+                        </div>
+                        <button onClick={onLeave} className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700">Leave Household</button>
+                    </div>
+                ) : (
+                    <div className="space-y-6">
+                        <p className="text-gray-600">Share a pantry and shopping list with the people you live with.</p>
+                        <form onSubmit={(e) => { e.preventDefault(); onCreate(newName); }} className="space-y-2">
+                            <h3 className="font-semibold text-gray-700">Start a household</h3>
+                            <div className="flex gap-2">
+                                <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="e.g., The Smith Kitchen" className="flex-grow px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                                <button type="submit" disabled={!newName.trim()} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Create</button>
+                            </div>
+                        </form>
+                        <form onSubmit={(e) => { e.preventDefault(); onJoin(inviteCode); }} className="space-y-2">
+                            <h3 className="font-semibold text-gray-700">Join with an invite code</h3>
+                            <div className="flex gap-2">
+                                <input type="text" value={inviteCode} onChange={(e) => setInviteCode(e.target.value.toUpperCase())} placeholder="ABC123" maxLength={6} className="flex-grow px-3 py-2 font-mono tracking-widest bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                                <button type="submit" disabled={inviteCode.trim().length < 6} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">Join</button>
+                            </div>
+                        </form>
+                    </div>
+                )}
+            </div>
         </div>
     );
 };
 
-const RecipeList = ({ recipes, onSelect, onBack }) => (
-    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-        <div className="flex justify-between items-center mb-4"><h2 className="text-2xl font-semibold text-gray-800">Recipe Suggestions</h2><button onClick={onBack} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">Back</button></div>
-        <div className="space-y-4">{recipes.map((recipe, index) => (<div key={index} className="bg-gray-50 p-4 rounded-lg border hover:border-indigo-500 transition-all cursor-pointer" onClick={() => onSelect(recipe)}><h3 className="text-xl font-bold text-indigo-700">{recipe.recipeName}</h3><p className="text-gray-600 mt-1">{recipe.description}</p></div>))}</div>
-    </div>
-);
-
-const RecipeDetail = ({ recipe, onStartCooking, onBack }) => (
-     <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-        <div className="flex justify-between items-start mb-4"><h2 className="text-3xl font-bold text-gray-800">{recipe.recipeName}</h2><button onClick={onBack} className="text-gray-500 hover:text-gray-800"><XIcon /></button></div>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <div className="md:col-span-1"><h3 className="text-lg font-semibold mb-2 text-gray-700 border-b pb-2">Ingredients Needed</h3><ul className="space-y-1 text-gray-600">{recipe.ingredientsNeeded.map((ing, index) => ( <li key={index}>{ing.quantity} {ing.unit} {ing.name}</li> ))}</ul></div>
-            <div className="md:col-span-2"><h3 className="text-lg font-semibold mb-2 text-gray-700 border-b pb-2">Instructions</h3><ol className="space-y-2 text-gray-600 list-decimal list-inside">{recipe.instructions.map((step, index) => ( <li key={index}>{step}</li> ))}</ol></div>
-        </div>
-        <div className="mt-8 text-center"><button onClick={onStartCooking} className="py-3 px-8 border border-transparent rounded-md shadow-sm text-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">Cook This!</button></div>
-    </div>
-);
-
-const CookingView = ({ recipe, onFinishCooking }) => (
-    <div className="bg-white min-h-screen p-4 sm:p-6 md:p-8">
-        <div className="max-w-4xl mx-auto">
-            <header className="text-center mb-8"><h1 className="text-4xl md:text-5xl font-bold text-gray-900">{recipe.recipeName}</h1><p className="text-gray-600 mt-2">{recipe.description}</p></header>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
-                <div className="md:col-span-1 bg-gray-50 p-6 rounded-xl border"><h3 className="text-2xl font-semibold mb-4 text-gray-800">Ingredients</h3><ul className="space-y-2 text-gray-700">{recipe.ingredientsNeeded.map((ing, index) => ( <li key={index} className="flex items-start"><span className="font-bold mr-2 text-indigo-600">&bull;</span><span>{ing.quantity} {ing.unit} {ing.name}</span></li> ))}</ul></div>
-                <div className="md:col-span-2"><h3 className="text-2xl font-semibold mb-4 text-gray-800">Instructions</h3><ol className="space-y-4 text-gray-700 leading-relaxed">{recipe.instructions.map((step, index) => ( <li key={index} className="flex"><span className="flex-shrink-0 flex items-center justify-center h-8 w-8 rounded-full bg-indigo-600 text-white font-bold mr-4">{index + 1}</span><p>{step}</p></li> ))}</ol></div>
-            </div>
-            <div className="mt-12 text-center"><button onClick={onFinishCooking} className="py-3 px-8 border border-transparent rounded-md shadow-sm text-lg font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500">Finish Cooking & Update Pantry</button></div>
-        </div>
-    </div>
-);
-
-const RecentlyCookedList = ({ recipes, onFavorite, favoritedIds }) => (
-    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-        <h2 className="text-2xl font-semibold mb-4 text-gray-800">Recently Cooked</h2>
-        {recipes.length === 0 ? <p className="text-gray-500">No recently cooked meals.</p> : (<div className="space-y-3">{recipes.map(recipe => (<div key={recipe.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border"><span className="font-medium text-gray-700 truncate pr-2">{recipe.recipeName}</span><button onClick={() => onFavorite(recipe)} className="text-yellow-400 hover:text-yellow-500" aria-label="Favorite this recipe"><StarIcon filled={favoritedIds.includes(recipe.id)} /></button></div>))}</div>)}
-    </div>
-);
-
-const FavoritedRecipesList = ({ recipes, onCookAgain, onFavorite }) => (
-    <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
-        <h2 className="text-2xl font-semibold mb-4 text-gray-800">Saved Recipes</h2>
-        {recipes.length === 0 ? <p className="text-gray-500">You haven't saved any recipes yet.</p> : (<div className="space-y-3">{recipes.map(recipe => (<div key={recipe.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border"><span className="font-medium text-gray-700 truncate pr-2">{recipe.recipeName}</span><div className="flex items-center space-x-2"><button onClick={() => onCookAgain(recipe)} className="text-sm text-indigo-600 hover:text-indigo-800 font-semibold">Cook Again</button><button onClick={() => onFavorite(recipe)} className="text-yellow-400 hover:text-yellow-500" aria-label="Unfavorite this recipe"><StarIcon filled={true} /></button></div></div>))}</div>)}
-    </div>
-);
-
 // --- Shopping List Components ---
 
-const ShoppingListSection = ({ shoppingList, onAdd, onDelete, onMove }) => {
-    const [newItem, setNewItem] = useState({ name: '', quantity: '' });
+const ShoppingListSection = ({ shoppingList, onAdd, onUpdate, onDelete, onMergeDuplicates, onMove }) => {
+    const [newItem, setNewItem] = useState({ name: '', quantity: '', unit: 'each', aisle: '' });
     const [isCollapsed, setIsCollapsed] = useState(true);
-    const sortedShoppingList = [...shoppingList].sort((a, b) => a.name.localeCompare(b.name));
+    const checkedCount = shoppingList.filter(item => item.checked).length;
+    const hasDuplicates = getShoppingDuplicateMerges(shoppingList).length > 0;
+    // Aisle order as you'd walk the store; within an aisle, what's still to get comes first.
+    const aisleGroups = shoppingAisles
+        .map(aisle => ({ aisle, items: shoppingList.filter(item => item.aisle === aisle).sort((a, b) => a.checked - b.checked || a.name.localeCompare(b.name)) }))
+        .filter(group => group.items.length > 0);
+    const commonUnits = ['each', 'g', 'kg', 'oz', 'lb', 'ml', 'l', 'cup', 'dozen', 'clove', 'can', 'stick'];
 
     const handleSubmit = (e) => {
         e.preventDefault();
         onAdd(newItem);
-        setNewItem({ name: '', quantity: '' });
+        setNewItem({ name: '', quantity: '', unit: 'each', aisle: '' });
     };
 
     return (
         <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
             <div className="flex justify-between items-center cursor-pointer" onClick={() => setIsCollapsed(!isCollapsed)}>
-                <h2 className="text-2xl font-semibold text-gray-800">Shopping List</h2>
+                <h2 className="text-2xl font-semibold text-gray-800">Shopping List{shoppingList.length > 0 && <span className="text-base font-normal text-gray-500 ml-2">{checkedCount} of {shoppingList.length} in the cart</span>}</h2>
                 <button className="text-gray-600 hover:text-indigo-600" aria-label="Toggle Shopping List"><ChevronDownIcon isCollapsed={isCollapsed} /></button>
             </div>
             {!isCollapsed && (
                 <div className="pt-6 mt-4 border-t">
-                    <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-4">
-                        <input type="text" value={newItem.name} onChange={(e) => setNewItem(prev => ({...prev, name: e.target.value}))} placeholder="Add an item..." className="sm:col-span-2 px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
-                        <div className="flex gap-2">
-                            <input type="text" value={newItem.quantity} onChange={(e) => setNewItem(prev => ({...prev, quantity: e.target.value}))} placeholder="Qty" className="w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
-                            <button type="submit" className="flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"><PlusIcon /></button>
-                        </div>
+                    <form onSubmit={handleSubmit} className="grid grid-cols-2 sm:grid-cols-6 gap-2 mb-4">
+                        <input type="text" value={newItem.name} onChange={(e) => setNewItem(prev => ({...prev, name: e.target.value}))} placeholder="Add an item..." className="col-span-2 px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                        <input type="number" step="any" min="0" value={newItem.quantity} onChange={(e) => setNewItem(prev => ({...prev, quantity: e.target.value}))} placeholder="Qty" className="px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-indigo-500 sm:text-sm" />
+                        <select value={newItem.unit} onChange={(e) => setNewItem(prev => ({...prev, unit: e.target.value}))} className="px-2 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm" aria-label="Unit">{commonUnits.map(u => <option key={u} value={u}>{u}</option>)}</select>
+                        <select value={newItem.aisle} onChange={(e) => setNewItem(prev => ({...prev, aisle: e.target.value}))} className="px-2 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 sm:text-sm" aria-label="Aisle"><option value="">{newItem.name.trim() ? getDefaultAisle(newItem.name) : 'Aisle'}</option>{shoppingAisles.map(aisle => <option key={aisle} value={aisle}>{aisle}</option>)}</select>
+                        <button type="submit" className="flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"><PlusIcon /></button>
                     </form>
                     {shoppingList.length === 0 ? <p className="text-gray-500">Your shopping list is empty.</p> : (
-                        <div className="space-y-3 max-h-60 overflow-y-auto pr-2">
-                            {sortedShoppingList.map(item => (
-                                <div key={item.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-lg border">
-                                    <span className="font-medium text-gray-700">{item.name} <span className="text-gray-500 text-sm">({item.quantity})</span></span>
-                                    <button onClick={() => onDelete(item.id)} className="text-red-500 hover:text-red-700" aria-label={`Delete ${item.name}`}><TrashIcon /></button>
+                        <div className="space-y-4 max-h-96 overflow-y-auto pr-2">
+                            {aisleGroups.map(({ aisle, items }) => (
+                                <div key={aisle}>
+                                    <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">{aisle}</h3>
+                                    <div className="space-y-2">
+                                        {items.map(item => (
+                                            <div key={item.id} className={`flex items-center gap-3 p-3 rounded-lg border ${item.checked ? 'bg-gray-100' : 'bg-gray-50'}`}>
+                                                <input type="checkbox" checked={item.checked} onChange={(e) => onUpdate(item.id, { checked: e.target.checked })} className="h-5 w-5 rounded text-indigo-600 focus:ring-indigo-500 border-gray-300" aria-label={`Got ${item.name}`} />
+                                                <span className={`flex-grow font-medium ${item.checked ? 'text-gray-400 line-through' : 'text-gray-700'}`}>{item.name} <span className="text-gray-500 text-sm">({formatQuantity(item.quantity)}{item.unit ? ` ${item.unit}` : ''}){item.addedBy && ` · ${item.addedBy.name}`}</span></span>
+                                                <select value={item.aisle} onChange={(e) => onUpdate(item.id, { aisle: e.target.value })} className="text-xs px-1 py-1 border border-gray-300 rounded-md bg-white" aria-label={`Aisle for ${item.name}`}>{shoppingAisles.map(a => <option key={a} value={a}>{a}</option>)}</select>
+                                                <button onClick={() => onDelete(item.id)} className="text-red-500 hover:text-red-700" aria-label={`Delete ${item.name}`}><TrashIcon /></button>
+                                            </div>
+                                        ))}
+                                    </div>
                                 </div>
                             ))}
                         </div>
                     )}
-                    <button onClick={onMove} disabled={shoppingList.length === 0} className="w-full mt-4 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed">Move to Pantry</button>
+                    {hasDuplicates && <button onClick={onMergeDuplicates} className="w-full mt-4 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Merge Duplicate Items</button>}
+                    <button onClick={onMove} disabled={shoppingList.length === 0} className="w-full mt-4 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed">{checkedCount > 0 ? `Move ${checkedCount} Checked Item${checkedCount === 1 ? '' : 's'} to Pantry` : 'Move to Pantry'}</button>
                 </div>
             )}
         </div>
@@ -648,7 +4109,9 @@ const MoveToPantryModal = ({ items, onConfirm, onCancel }) => {
 
     useEffect(() => {
         const sortedItems = [...items].sort((a, b) => a.name.localeCompare(b.name));
-        setListItems(sortedItems.map(item => ({ ...item, checked: true, quantity: 1, unit: 'each' })));
+        // Items ticked off while shopping are what was bought; if nothing was ticked, assume everything was.
+        const anyChecked = items.some(item => item.checked);
+        setListItems(sortedItems.map(item => ({ ...item, checked: !anyChecked || item.checked, unit: item.unit || 'each', bestBy: toDateInputValue(getDefaultBestBy(item.name)) })));
     }, [items]);
 
     const handleItemChange = (id, field, value) => {
@@ -662,16 +4125,14 @@ const MoveToPantryModal = ({ items, onConfirm, onCancel }) => {
         onConfirm(itemsToMove);
     };
     
-    const commonUnits = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'tsp', 'tbsp', 'cup', 'each', 'whole', 'stick'];
-
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
-            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
                 <div className="flex justify-between items-center mb-4">
                     <h2 className="text-2xl font-semibold">Add to Pantry</h2>
                     <button onClick={onCancel} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
                 </div>
-                <p className="text-gray-600 mb-4">Uncheck any items you didn't buy and adjust quantities.</p>
+                <p className="text-gray-600 mb-4">Uncheck any items you didn't buy and adjust quantities and best-by dates. Add what you paid to track prices and recipe costs.</p>
                 <div className="flex-grow overflow-y-auto space-y-3 pr-2">
                     {listItems.map(item => (
                         <div key={item.id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
@@ -679,8 +4140,10 @@ const MoveToPantryModal = ({ items, onConfirm, onCancel }) => {
                             <span className={`flex-grow font-medium ${!item.checked ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{item.name}</span>
                             <input type="number" value={item.quantity} onChange={(e) => handleItemChange(item.id, 'quantity', e.target.value)} className="w-20 px-2 py-1 border border-gray-300 rounded-md" disabled={!item.checked} />
                             <select value={item.unit} onChange={(e) => handleItemChange(item.id, 'unit', e.target.value)} className="px-2 py-1 border border-gray-300 rounded-md" disabled={!item.checked}>
-                                {commonUnits.map(u => <option key={u} value={u}>{u}</option>)}
+                                {(pantryUnits.includes(item.unit) ? pantryUnits : [item.unit, ...pantryUnits]).map(u => <option key={u} value={u}>{u}</option>)}
                             </select>
+                            <input type="date" value={item.bestBy} onChange={(e) => handleItemChange(item.id, 'bestBy', e.target.value)} className="w-36 px-2 py-1 border border-gray-300 rounded-md" disabled={!item.checked} aria-label={`Best-by date for ${item.name}`} />
+                            <input type="number" min="0" step="0.01" value={item.price ?? ''} onChange={(e) => handleItemChange(item.id, 'price', e.target.value)} placeholder="Price" className="w-20 px-2 py-1 border border-gray-300 rounded-md" disabled={!item.checked} aria-label={`Price paid for ${item.name}`} />
                         </div>
                     ))}
                 </div>
@@ -692,3 +4155,182 @@ const MoveToPantryModal = ({ items, onConfirm, onCancel }) => {
         </div>
     );
 };
+
+// --- Backup Components ---
+
+const BackupModal = ({ data, onImport, onClose }) => {
+    const [pending, setPending] = useState(null);
+    const [mode, setMode] = useState('merge');
+    const [fileError, setFileError] = useState('');
+    const [isImporting, setIsImporting] = useState(false);
+    const today = toDateInputValue(Date.now());
+    const plan = pending && planImport(data, pending.collections, mode);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setFileError('');
+        setPending(null);
+        try {
+            setPending({ fileName: file.name, ...readBackupFile(await file.text(), file.name) });
+        } catch (err) { setFileError(err.message); }
+    };
+
+    const handleImport = async () => {
+        if (mode === 'replace' && !window.confirm(`Replace your ${Object.keys(pending.collections).map(name => backupCollectionLabels[name].toLowerCase()).join(', ')} with the contents of ${pending.fileName}? This can't be undone.`)) return;
+        setIsImporting(true);
+        await onImport(pending.collections, mode);
+        setIsImporting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
+            <div className="bg-white rounded-xl shadow-lg p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold">Backup & Restore</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800"><XIcon /></button>
+                </div>
+                <div className="flex-grow overflow-y-auto space-y-6 pr-2">
+                    <div>
+                        <h3 className="font-semibold text-gray-700 mb-2">Export</h3>
+                        <p className="text-sm text-gray-500 mb-3">The JSON backup holds your pantry, shopping list, saved recipes and cooking history. The CSV files open in any spreadsheet.</p>
+                        <div className="flex flex-wrap gap-2">
+                            <button onClick={() => downloadFile(`fridge-forager-backup-${today}.json`, JSON.stringify(createBackup(data), null, 2), 'application/json')} className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">Download Backup</button>
+                            <button onClick={() => downloadFile(`fridge-forager-pantry-${today}.csv`, toCsv('ingredients', data.ingredients), 'text/csv')} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Pantry CSV</button>
+                            <button onClick={() => downloadFile(`fridge-forager-shopping-list-${today}.csv`, toCsv('shoppingList', data.shoppingList), 'text/csv')} className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">Shopping List CSV</button>
+                        </div>
+                    </div>
+                    <div>
+                        <h3 className="font-semibold text-gray-700 mb-2">Import</h3>
+                        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} className="block w-full text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100" />
+                        {fileError && <p className="text-sm text-red-600 mt-2">{fileError}</p>}
+                        {pending && (
+                            <div className="mt-4 space-y-3">
+                                <div className="flex gap-4 text-sm">
+                                    <label className="flex items-center gap-2"><input type="radio" name="import-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} /> Merge with what's here</label>
+                                    <label className="flex items-center gap-2"><input type="radio" name="import-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} /> Replace</label>
+                                </div>
+                                <p className="text-xs text-gray-500">{mode === 'merge' ? 'Items with the same name are overwritten by the file; everything else is kept.' : 'Each list in the file replaces the one here. Lists the file doesn\'t include are left alone.'}</p>
+                                <div className="space-y-2">{Object.entries(plan).map(([name, { adds, updates, deletes }]) => (
+                                    <div key={name} className="flex justify-between bg-gray-50 p-3 rounded-lg border text-sm">
+                                        <span className="font-medium text-gray-700">{backupCollectionLabels[name]}</span>
+                                        <span className="text-gray-600">{adds.length} new · {updates.length} updated{deletes.length > 0 && <span className="text-red-600"> · {deletes.length} removed</span>}</span>
+                                    </div>
+                                ))}</div>
+                                {pending.skipped > 0 && <p className="text-sm text-amber-700">{pending.skipped} entr{pending.skipped === 1 ? 'y' : 'ies'} in the file couldn't be read and will be skipped.</p>}
+                                <button onClick={handleImport} disabled={isImporting} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-400">{isImporting ? 'Importing...' : `Import ${pending.fileName}`}</button>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Insights Components ---
+const chartColors = ['#4f46e5', '#16a34a', '#f59e0b', '#dc2626', '#0891b2', '#9333ea', '#db2777', '#65a30d', '#6b7280'];
+
+const InsightCard = ({ title, children }) => (
+    <div className="p-4 bg-gray-50 rounded-lg border">
+        <h3 className="font-semibold text-gray-700 mb-3">{title}</h3>
+        {children}
+    </div>
+);
+
+const WeeklyStackedChart = ({ rows, keys }) => (
+    <ResponsiveContainer width="100%" height={220}>
+        <BarChart data={rows}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" fontSize={12} />
+            <YAxis allowDecimals={false} fontSize={12} width={30} />
+            <Tooltip />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            {keys.map((key, index) => <Bar key={key} dataKey={key} stackId="week" fill={chartColors[index % chartColors.length]} />)}
+        </BarChart>
+    </ResponsiveContainer>
+);
+
+const InsightsSection = ({ ledger, recentlyCooked, priceHistory }) => {
+    const [isCollapsed, setIsCollapsed] = useState(true);
+    const insights = useMemo(() => (isCollapsed ? null : getCookingInsights(ledger, recentlyCooked, priceHistory)), [isCollapsed, ledger, recentlyCooked, priceHistory]);
+    const { stockFlow, spending } = insights || {};
+    const wasteShare = stockFlow && stockFlow.used + stockFlow.wasted > 0 ? Math.round((stockFlow.wasted / (stockFlow.used + stockFlow.wasted)) * 100) : 0;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-md border border-gray-200">
+            <div className="flex justify-between items-center cursor-pointer" onClick={() => setIsCollapsed(!isCollapsed)}>
+                <h2 className="text-2xl font-semibold text-gray-800">Insights</h2>
+                <button className="text-gray-600 hover:text-indigo-600" aria-label="Toggle Insights"><ChevronDownIcon isCollapsed={isCollapsed} /></button>
+            </div>
+            {!isCollapsed && (
+                <div className="pt-6 mt-4 border-t">
+                    {insights.cookCount === 0 && priceHistory.length === 0 ? <p className="text-gray-500">Cook a few recipes and your cooking history will show up here.</p> : (
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            <InsightCard title={`Meals cooked per week (last ${INSIGHT_WEEKS} weeks)`}>
+                                <ResponsiveContainer width="100%" height={220}>
+                                    <BarChart data={insights.mealsPerWeek}>
+                                        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                        <XAxis dataKey="label" fontSize={12} />
+                                        <YAxis allowDecimals={false} fontSize={12} width={30} />
+                                        <Tooltip />
+                                        <Bar dataKey="Meals" fill={chartColors[0]} radius={[4, 4, 0, 0]} />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </InsightCard>
+                            <InsightCard title="Most-used ingredients">
+                                <ResponsiveContainer width="100%" height={220}>
+                                    <BarChart data={insights.topIngredients} layout="vertical" margin={{ left: 20 }}>
+                                        <XAxis type="number" allowDecimals={false} fontSize={12} />
+                                        <YAxis type="category" dataKey="name" fontSize={12} width={90} />
+                                        <Tooltip formatter={(value) => [`${value} recipe${value === 1 ? '' : 's'}`, 'Used in']} />
+                                        <Bar dataKey="count" fill={chartColors[1]} radius={[0, 4, 4, 0]} />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </InsightCard>
+                            <InsightCard title="Meal types"><WeeklyStackedChart {...insights.mealTypes} /></InsightCard>
+                            <InsightCard title="Cuisines"><WeeklyStackedChart {...insights.cuisines} /></InsightCard>
+                            <InsightCard title="Pantry stock used vs. wasted">
+                                <p className="text-sm text-gray-600 mb-2">{stockFlow.used} item{stockFlow.used === 1 ? '' : 's'} used in cooking, {stockFlow.wasted} thrown out{stockFlow.wasted > 0 && ` (${wasteShare}% of stock)`}.{stockFlow.mostWasted.length > 0 && ` Most often wasted: ${stockFlow.mostWasted.map(item => item.name).join(', ')}.`}</p>
+                                <ResponsiveContainer width="100%" height={200}>
+                                    <BarChart data={stockFlow.rows}>
+                                        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                        <XAxis dataKey="label" fontSize={12} />
+                                        <YAxis allowDecimals={false} fontSize={12} width={30} />
+                                        <Tooltip />
+                                        <Legend wrapperStyle={{ fontSize: 12 }} />
+                                        <Bar dataKey="Used" fill={chartColors[1]} />
+                                        <Bar dataKey="Wasted" fill={chartColors[3]} />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </InsightCard>
+                            <InsightCard title={`Spending per week (last ${INSIGHT_WEEKS} weeks)`}>
+                                <p className="text-sm text-gray-600 mb-2">{formatPrice(spending.groceries)} on recorded groceries.{spending.averageMealCost !== null && ` Cooked meals used about ${formatPrice(spending.averageMealCost)} of ingredients each.`}</p>
+                                <ResponsiveContainer width="100%" height={200}>
+                                    <BarChart data={spending.rows}>
+                                        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                                        <XAxis dataKey="label" fontSize={12} />
+                                        <YAxis fontSize={12} width={45} />
+                                        <Tooltip formatter={(value) => formatPrice(value)} />
+                                        <Legend wrapperStyle={{ fontSize: 12 }} />
+                                        <Bar dataKey="Groceries" fill={chartColors[2]} />
+                                        <Bar dataKey="Cooked meals" fill={chartColors[0]} />
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </InsightCard>
+                            <InsightCard title="Most-cooked recipes">
+                                <ol className="space-y-2">{insights.topRecipes.map((recipe, index) => (
+                                    <li key={recipe.recipeName} className="flex justify-between items-center text-sm">
+                                        <span className="text-gray-700"><span className="text-gray-400 mr-2">{index + 1}.</span>{recipe.recipeName}</span>
+                                        <span className="text-gray-500">{recipe.count}× · last {new Date(recipe.lastCookedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+                                    </li>
+                                ))}</ol>
+                            </InsightCard>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};